@@ -1,12 +1,31 @@
 import * as THREE from 'three';
-import { initPhysics, world, rapier } from './src/physics.js';
+import { initPhysics, world, rapier, FIXED_TIMESTEP } from './src/physics.js';
 import { Player } from './src/player.js';
 import { City } from './src/city.js';
-import { Titan } from './src/titan.js';
+import { TitanManager } from './src/TitanManager.js';
+import { GameLoop } from './src/GameLoop.js';
+import { InputController } from './src/InputController.js';
+import { InputSettings } from './src/InputSettings.js';
+import { GamepadInput } from './src/GamepadInput.js';
+import { TouchControls } from './src/TouchControls.js';
+import { ReplayRecorder, ReplayPlayer, loadPendingReplay } from './src/Replay.js';
+import { ReplayPanel } from './src/ReplayPanel.js';
+import { setSeed, getSeed, randomSeed } from './src/random.js';
+import { generateCity, cityParamsFromURL, cityParamsToURL } from './src/CityGenerator.js';
+import { levelFromLayout, loadLevel, exportLevel } from './src/Level.js';
+import { downloadJSON } from './src/files.js';
+import { LevelEditor } from './src/LevelEditor.js';
+import { assets, ASSET_MANIFEST, levelAssets } from './src/Assets.js';
+import { LoadingScreen } from './src/LoadingScreen.js';
 
 async function init() {
+    const loadingScreen = new LoadingScreen();
     await initPhysics();
 
+    // Every session is recorded from its seed; a loaded replay regenerates the same world from its own
+    const pendingReplay = await loadPendingReplay();
+    setSeed(pendingReplay ? pendingReplay.replay.seed : randomSeed());
+
     // 1. Setup Scene
     const scene = new THREE.Scene();
     scene.background = new THREE.Color(0x87CEEB); // Sky Blue
@@ -39,38 +58,66 @@ async function init() {
     dirLight.shadow.mapSize.height = 2048;
     scene.add(dirLight);
 
-    // 5. Create World (City)
-    const city = new City(scene);
+    // 5. Create World (City) from a level file or the city generator, once everything it shows has loaded
+    const level = pendingReplay?.replay.level ?? await createLevel();
+    await preloadAssets([...ASSET_MANIFEST, ...levelAssets(level)], loadingScreen);
+    const city = new City(scene, level);
+    await city.ready; // Buildings and walls stand before the first tick, however long they took
 
-    // 6. Create Titan (spawn inside wall, closer to center)
-    const titan = new Titan(scene, { x: 30, y: 0, z: 0 });
+    // 6. Create Titan Waves (spawn outside the wall, march toward the center)
+    const titanManager = new TitanManager(scene, {
+        city,
+        spawnRadius: level.titans.spawnRadius,
+        spawnPoints: level.titans.spawnPoints.map(([x, z]) => ({ x, z })),
+        rallyPoint: { x: level.titans.rallyPoint[0], z: level.titans.rallyPoint[1] }
+    });
 
-    // 7. Create Player
-    const player = new Player(scene, { x: 0, y: 10, z: 0 }); // Spawn at center, slightly up
-    player.setTitanTarget(titan); // Pass titan reference to player for testing
-    titan.setPlayerTarget(player); // Pass player reference to titan for chasing
+    // 7. Input (rebindable actions, controls menu on P, gamepad) and Player
+    const input = new InputController();
+    const gamepad = new GamepadInput(input);
+    new InputSettings(input, gamepad);
+    const [spawnX, spawnY, spawnZ] = level.spawn.player;
+    const player = new Player(scene, { x: spawnX, y: spawnY, z: spawnZ }, input);
+    player.setTitanManager(titanManager); // Blades cut titan napes and limbs
+    player.setCity(city); // Rooftop resupply stations
+    titanManager.setPlayerTarget(player); // Every titan chases the player
 
     // Camera Control Variables
     let cameraAngleX = 0;
     let cameraAngleY = 0;
     const sensitivity = 0.002;
+    const touchSensitivity = 0.005;
     let cameraDistance = 5; // Default distance
 
     // Pointer Lock
     document.body.addEventListener('click', () => {
+        if (editor?.active) return; // The editor needs the cursor
         document.body.requestPointerLock();
     });
 
+    function turnCamera(yaw, pitch) {
+        if (replayPlayer) return; // The camera comes from the recording
+
+        cameraAngleX -= yaw;
+        cameraAngleY -= pitch;
+
+        // Clamp pitch
+        cameraAngleY = Math.max(-Math.PI / 2 + 0.1, Math.min(Math.PI / 2 - 0.1, cameraAngleY));
+    }
+
     document.addEventListener('mousemove', (event) => {
         if (document.pointerLockElement === document.body) {
-            cameraAngleX -= event.movementX * sensitivity;
-            cameraAngleY -= event.movementY * sensitivity;
-
-            // Clamp pitch
-            cameraAngleY = Math.max(-Math.PI / 2 + 0.1, Math.min(Math.PI / 2 - 0.1, cameraAngleY));
+            turnCamera(event.movementX * sensitivity, event.movementY * sensitivity);
         }
     });
 
+    // Phones: virtual joystick, on-screen buttons and drag-to-look instead of pointer lock
+    if (TouchControls.isSupported()) {
+        new TouchControls(input, {
+            onLook: (dx, dy) => turnCamera(dx * touchSensitivity, dy * touchSensitivity)
+        });
+    }
+
     // Scroll to Zoom
     document.addEventListener('wheel', (event) => {
         cameraDistance += event.deltaY * 0.005; // Reduced sensitivity
@@ -84,38 +131,143 @@ async function init() {
         renderer.setSize(window.innerWidth, window.innerHeight);
     });
 
-    function animate() {
-        requestAnimationFrame(animate);
+    // Replay: record live sessions, or play back the one that was loaded
+    let recorder = null;
+    let replayPlayer = null;
+    if (pendingReplay) {
+        replayPlayer = new ReplayPlayer(input, pendingReplay.replay, {
+            applyView: (angles) => {
+                [cameraAngleX, cameraAngleY, cameraDistance] = angles;
+            }
+        });
+        if (pendingReplay.replay.timestep !== FIXED_TIMESTEP) console.warn('⚠️ Replay was recorded with a different timestep');
+        if (pendingReplay.startTick > 0) replayPlayer.seek(pendingReplay.startTick);
+        console.log(`🎬 Playing replay: seed ${pendingReplay.replay.seed}, ${replayPlayer.length} ticks`);
+    } else {
+        recorder = new ReplayRecorder(input, {
+            seed: getSeed(),
+            level: structuredClone(level), // The level as the session started; the first edit stops the recording
+            timestep: FIXED_TIMESTEP,
+            getView: () => [cameraAngleX, cameraAngleY, cameraDistance]
+        });
+    }
+
+    // Puts a camera on its orbit around a target point
+    function orbit(view, target) {
+        const targetPos = new THREE.Vector3(target.x, target.y, target.z).add(new THREE.Vector3(0, 1.5, 0)); // Aim slightly above player head
+
+        // Calculate camera position based on angles
+        const offset = new THREE.Vector3(
+            0,
+            0,
+            cameraDistance
+        );
+
+        // Apply rotations
+        offset.applyAxisAngle(new THREE.Vector3(1, 0, 0), cameraAngleY);
+        offset.applyAxisAngle(new THREE.Vector3(0, 1, 0), cameraAngleX);
+
+        view.position.copy(targetPos).add(offset);
+        view.lookAt(targetPos);
+    }
+
+    // What the player steers and aims with: the rendered camera's orbit, but around the body as the
+    // step starts rather than the interpolated mesh, so replays rebuild it from the angles alone
+    const aim = new THREE.Camera();
+
+    // Simulation: runs at a fixed rate, possibly several times per frame
+    function fixedUpdate(dt) {
+        if (replayPlayer?.isFinished) return;
+
+        gamepad.poll();
+        if (replayPlayer) replayPlayer.next(); else recorder.capture();
+
+        titanManager.syncToBodies();
+        orbit(aim, player.body.translation());
+        player.update(aim, dt);
+        titanManager.update(dt);
+        city.stream(player.body.translation());
+        city.update(dt);
 
         world.step();
-        player.update(camera);
-        titan.update(camera);
-
-        // Camera Follow Logic (Orbit around Player)
-        if (player.mesh) {
-            const playerPos = player.mesh.position.clone();
-            // Aim slightly above player head
-            const targetPos = playerPos.add(new THREE.Vector3(0, 1.5, 0));
-
-            // Calculate camera position based on angles
-            const offset = new THREE.Vector3(
-                0,
-                0,
-                cameraDistance
-            );
-
-            // Apply rotations
-            offset.applyAxisAngle(new THREE.Vector3(1, 0, 0), cameraAngleY);
-            offset.applyAxisAngle(new THREE.Vector3(0, 1, 0), cameraAngleX);
-
-            camera.position.copy(targetPos).add(offset);
-            camera.lookAt(targetPos);
+
+        player.capturePhysicsState();
+        titanManager.capturePhysicsState();
+        city.capturePhysicsState();
+
+        const position = player.body.translation();
+        if (replayPlayer) replayPlayer.verify(position); else recorder.checkpoint(position);
+    }
+
+    // Presentation: runs once per frame, blends between the last two physics states
+    function render(alpha, frameTime) {
+        // Replay scrubbing: simulate ahead as fast as the frame budget allows
+        if (replayPlayer?.isSeeking) {
+            const deadline = performance.now() + 30;
+            while (replayPlayer.isSeeking && performance.now() < deadline) fixedUpdate(FIXED_TIMESTEP);
+            if (!replayPlayer.isSeeking) replayPanel.setPaused(true); // Stay on the frame that was picked
+        }
+        replayPanel.update();
+
+        // Right stick turns the camera at a rate, so it follows real frame time
+        const lookSpeed = gamepad.settings.lookSensitivity * frameTime;
+        turnCamera(input.getAxis('lookX') * lookSpeed, input.getAxis('lookY') * lookSpeed);
+
+        player.render(alpha);
+        titanManager.render(camera, alpha);
+        city.render(camera, alpha);
+
+        // Camera Follow Logic (Orbit around Player), the editor has its own free camera
+        if (editor?.active) {
+            editor.update();
+        } else if (player.mesh) {
+            orbit(camera, player.mesh.position);
         }
 
         renderer.render(scene, camera);
     }
 
-    animate();
+    // Save the city as it stands as a level file
+    input.on('exportLevel', () => downloadJSON(exportLevel(city), `${level.name ?? 'level'}.json`.replace(/\s+/g, '-')));
+
+    const loop = new GameLoop({ fixedUpdate, render });
+    const replayPanel = new ReplayPanel(input, { recorder, replayPlayer, loop, timestep: FIXED_TIMESTEP });
+    // Level editor on F4; not during replays, which must run on the recorded level. A replay of an edited
+    // session would run on the level as it was, so recording ends where the editing starts
+    const editor = replayPlayer ? null : new LevelEditor({
+        scene, camera, renderer, city, titanManager, input, loop,
+        onChange: () => recorder.stop('level edited')
+    });
+    loop.start();
+}
+
+// Nothing starts until every required model and animation is in; a missing one stops on an error
+// screen that can try again (optional files that failed are left to their fallbacks)
+async function preloadAssets(entries, loadingScreen) {
+    for (;;) {
+        const failed = await assets.preload(entries, (fraction, label) => loadingScreen.setProgress(fraction, label));
+        const missing = failed.filter(entry => entry.required);
+        if (missing.length === 0) break;
+        await loadingScreen.showError(missing);
+    }
+    loadingScreen.hide();
+}
+
+// ?level=levels/name.json loads a level file, otherwise a city is generated from the URL's
+// parameters (?seed=42&layout=organic...) and the seed is written back so the city can be shared
+async function createLevel() {
+    const query = new URLSearchParams(location.search);
+    if (query.has('level')) {
+        try {
+            return await loadLevel(query.get('level'));
+        } catch (err) {
+            console.error(`❌ Could not load level ${query.get('level')}, generating a city instead`, err);
+        }
+    }
+
+    const layout = generateCity({ seed: randomSeed(), ...cityParamsFromURL(location.search) });
+    history.replaceState(null, '', cityParamsToURL(layout.params));
+    return levelFromLayout(layout);
 }
 
 init();
@@ -1,154 +1,139 @@
 import * as THREE from 'three';
-import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 
+const DEFAULT_FADE = 0.2; // Cross-fade between states (s)
+
+// Animation graph shared by the player and titans, built from plain data:
+//
+//   states:      { Name: { clip, loop = true, timeScale = 1, fade, duration } }
+//   transitions: [{ from: 'Name' | '*', to: 'Name', when: (params) => boolean, fade }]   first match wins
+//   events:      [{ state: 'Name', at: 0..1 (fraction of the state's length), name }]
+//
+// Base states follow the transitions, whose conditions read the parameters the owner sets every
+// step (speed, grounded, hooked...). One-shot states (attacks) are played on top with play() and
+// hand back to whatever base state is current once they end. The graph keeps its own time on the
+// fixed step, and a state without a clip runs for its `duration`, so events such as an attack's
+// hit window fire the same whether or not the model loaded.
 export class AnimationController {
-    constructor(scene) {
-        this.scene = scene;
-        this.mixer = null;
-        this.animations = {};
-        this.currentAction = null;
-        this.mesh = null;
+    constructor(mixer, { states, transitions = [], events = [], initial, params = {} }) {
+        this.mixer = mixer; // Null for placeholder models: the graph still runs, nothing is drawn
+        this.states = states;
+        this.transitions = transitions;
+        this.events = events;
+        this.params = { ...params };
+        this.listeners = {};
+
+        // Mixer action per state that has a clip
+        this.actions = {};
+        for (const [name, state] of Object.entries(states)) {
+            if (!mixer || !state.clip) continue;
+            const action = mixer.clipAction(state.clip);
+            action.setLoop(state.loop === false ? THREE.LoopOnce : THREE.LoopRepeat);
+            action.clampWhenFinished = state.loop === false;
+            action.timeScale = state.timeScale ?? 1;
+            this.actions[name] = action;
+        }
+
+        this.state = initial;  // Current base state
+        this.stateTime = 0;
+        this.oneShot = null;   // One-shot state playing over the base, if any
+        this.oneShotTime = 0;
+        this.visible = null;   // Action faded in right now
+        this.show(this.actions[initial], 0);
     }
 
-    loadModel(onLoad) {
-        const loader = new GLTFLoader();
-        const baseUrl = import.meta.env.BASE_URL.endsWith('/') ? import.meta.env.BASE_URL : import.meta.env.BASE_URL + '/';
-        const modelPath = `${baseUrl}player.glb`;
-
-        console.log('🔄 Loading model from:', modelPath);
-
-        loader.load(modelPath, (gltf) => {
-            const object = gltf.scene;
-            this.mesh = object;
-
-            object.traverse((child) => {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
-            });
-
-            // Auto-scale logic
-            const box = new THREE.Box3().setFromObject(object);
-            const size = new THREE.Vector3();
-            box.getSize(size);
-
-            const targetHeight = 2.5;
-            const scaleFactor = targetHeight / size.y;
-            object.scale.set(scaleFactor, scaleFactor, scaleFactor);
-            object.position.y = -1.0;
-
-            // ADD TO SCENE
-            this.scene.add(object);
-            console.log('✅ Model added to scene');
-
-            this.mixer = new THREE.AnimationMixer(object);
-
-            // Store Idle Animation from GLB
-            if (gltf.animations.length > 0) {
-                const idleAction = this.mixer.clipAction(gltf.animations[0]);
-                this.animations['Idle'] = idleAction;
-                this.currentAction = idleAction;
-                this.currentAction.play();
-                console.log('✅ Idle animation loaded from GLB');
-            }
+    on(event, callback) {
+        (this.listeners[event] ||= []).push(callback);
+    }
 
-            // Load external animations
-            this.loadExternalAnimations(baseUrl);
+    emit(event, data) {
+        (this.listeners[event] || []).forEach(callback => callback(data));
+    }
 
-            if (onLoad) {
-                console.log('🔄 Calling onLoad callback...');
-                onLoad(object);
-            }
-        }, undefined, (error) => {
-            console.error('❌ Failed to load model:', error);
-        });
+    set(name, value) {
+        this.params[name] = value;
     }
 
-    loadExternalAnimations(baseUrl) {
-        const loader = new FBXLoader();
-
-        // Load go.fbx for WALKING
-        console.log('🔄 Loading go.fbx (Walk)...');
-        loader.load(`${baseUrl}go.fbx`, (obj) => {
-            console.log('✅ go.fbx loaded');
-            if (obj.animations.length > 0) {
-                const clip = obj.animations[0];
-                console.log(`   Animation: "${clip.name}", Tracks: ${clip.tracks.length}`);
-
-                const action = this.mixer.clipAction(clip);
-                action.loop = THREE.LoopRepeat;
-                this.animations['Walk'] = action;
-                console.log('✅ Walk animation registered');
-            } else {
-                console.error('❌ go.fbx has no animations!');
-            }
-        }, undefined, (error) => {
-            console.error('❌ Failed to load go.fbx:', error);
-        });
+    setParams(params) {
+        Object.assign(this.params, params);
+    }
 
-        // Load run.fbx for RUNNING (when Shift is pressed)
-        console.log('🔄 Loading run.fbx (Run)...');
-        loader.load(`${baseUrl}run.fbx`, (obj) => {
-            console.log('✅ run.fbx loaded');
-            if (obj.animations.length > 0) {
-                const clip = obj.animations[0];
-                console.log(`   Animation: "${clip.name}", Tracks: ${clip.tracks.length}`);
-
-                const action = this.mixer.clipAction(clip);
-                action.loop = THREE.LoopRepeat;
-                this.animations['Run'] = action;
-                console.log('✅ Run animation registered');
-            } else {
-                console.error('❌ run.fbx has no animations!');
-            }
-        }, undefined, (error) => {
-            console.error('❌ Failed to load run.fbx:', error);
-        });
+    // Length of a state in seconds, undefined if it has neither clip nor duration
+    duration(name) {
+        const state = this.states[name];
+        if (!state) return undefined;
+        return state.clip ? state.clip.duration / (state.timeScale ?? 1) : state.duration;
     }
 
-    update(dt, speed, isShiftPressed) {
-        if (this.mixer) {
-            this.mixer.update(dt);
+    // Starts a one-shot over the base state (restarting it if it already plays); false if it has no length
+    play(name) {
+        if (!this.duration(name)) return false;
+        this.oneShot = name;
+        this.oneShotTime = 0;
+        this.show(this.actions[name], this.states[name].fade ?? DEFAULT_FADE, true);
+        return true;
+    }
+
+    // Cuts the one-shot short and fades back to the base state
+    stop() {
+        if (!this.oneShot) return;
+        const fade = this.states[this.oneShot].fade ?? DEFAULT_FADE;
+        this.oneShot = null;
+        this.show(this.actions[this.state], fade);
+    }
+
+    // Once per fixed step, after the owner set this step's parameters
+    update(dt) {
+        const transition = this.transitions.find(t => (t.from === '*' || t.from === this.state)
+            && t.to !== this.state && t.when(this.params));
+        if (transition) {
+            this.state = transition.to;
+            this.stateTime = 0;
+            if (!this.oneShot) this.show(this.actions[this.state], transition.fade ?? DEFAULT_FADE);
         }
 
-        if (this.animations['Idle'] && this.animations['Run'] && this.animations['Walk']) {
-            const isMoving = speed > 0.5;
-            let targetAction = this.animations['Idle'];
+        // Base states loop, so their events fire every time round
+        const baseLength = this.duration(this.state);
+        const baseBefore = this.stateTime;
+        this.stateTime += dt;
+        if (baseLength) {
+            const from = baseBefore / baseLength;
+            const to = this.stateTime / baseLength;
+            this.fire(this.state, at => Math.floor(to - at) > Math.floor(from - at));
+        }
 
-            if (isMoving) {
-                // If Shift is pressed while moving -> Run, otherwise -> Walk
-                targetAction = isShiftPressed ? this.animations['Run'] : this.animations['Walk'];
+        if (this.oneShot) {
+            const name = this.oneShot;
+            const length = this.duration(name);
+            const from = this.oneShotTime / length;
+            this.oneShotTime += dt;
+            const to = this.oneShotTime / length;
+            this.fire(name, at => from < at && at <= to);
+
+            // A listener may have stopped or restarted it
+            if (this.oneShot === name && this.oneShotTime >= length) {
+                this.stop();
+                this.emit('finished', name);
             }
+        }
 
-            if (this.currentAction !== targetAction) {
-                const prevAction = this.currentAction;
-                this.currentAction = targetAction;
+        if (this.mixer) this.mixer.update(dt);
+    }
 
-                // Log animation transition
-                const prevName = prevAction ? Object.keys(this.animations).find(k => this.animations[k] === prevAction) : 'none';
-                const newName = Object.keys(this.animations).find(k => this.animations[k] === targetAction);
-                console.log(`🎬 Animation: ${prevName} → ${newName} (speed: ${speed.toFixed(1)}, shift: ${isShiftPressed})`);
+    fire(state, crossed) {
+        this.events.forEach((event) => {
+            if (event.state === state && crossed(event.at)) this.emit(event.name, state);
+        });
+    }
 
-                if (prevAction) {
-                    prevAction.fadeOut(0.2);
-                }
-                this.currentAction.reset().fadeIn(0.2).play();
-            }
-        } else {
-            // Log which animations are missing
-            const missing = [];
-            if (!this.animations['Idle']) missing.push('Idle');
-            if (!this.animations['Run']) missing.push('Run');
-            if (!this.animations['Walk']) missing.push('Walk');
-            if (missing.length > 0) {
-                // Only log once per second to avoid spam
-                if (!this._lastMissingLog || Date.now() - this._lastMissingLog > 1000) {
-                    console.warn(`⏳ Waiting for animations: ${missing.join(', ')}`);
-                    this._lastMissingLog = Date.now();
-                }
-            }
+    // Cross-fades to an action; no action (a state without a clip) just fades the last one out.
+    // States sharing a clip (Run and WallRun) carry on where it is, one-shots restart it.
+    show(action, fade, restart = false) {
+        if (action && action === this.visible) {
+            if (restart) action.reset().play();
+            return;
         }
+        if (this.visible) this.visible.fadeOut(fade);
+        if (action) action.reset().fadeIn(fade).play();
+        this.visible = action ?? null;
     }
 }
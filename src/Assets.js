@@ -0,0 +1,127 @@
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js';
+
+const RETRIES = 2;         // Further attempts after a failed download, missing files (404) aren't retried
+const RETRY_DELAY = 1000;  // ms before the first retry, doubled for each one after
+
+// Models and animations every session uses. Required ones hold the game back until they load,
+// the others have fallbacks (a missing clip just isn't played).
+export const ASSET_MANIFEST = [
+    { path: 'go.fbx', label: 'Player', required: true },
+    { path: 'run.fbx', label: 'Player animations' },
+    { path: 'attack.fbx', label: 'Player animations' },
+    { path: 'titan.fbx', label: 'Titans', required: true },
+    { path: 'titan_attack.fbx', label: 'Titan animations' }
+];
+
+// The models a level places: buildings can't do without theirs, walls fall back to plain bays
+export function levelAssets(level) {
+    const unique = (names) => [...new Set(names.filter(Boolean))];
+    return [
+        ...unique(level.buildings.map(config => config.model)).map(path => ({ path, label: 'Buildings', required: true })),
+        ...unique(level.walls.map(config => config.model)).map(path => ({ path, label: 'Walls' }))
+    ];
+}
+
+// URL of a file in public/
+export function assetUrl(path) {
+    const baseUrl = import.meta.env.BASE_URL.endsWith('/') ? import.meta.env.BASE_URL : import.meta.env.BASE_URL + '/';
+    return `${baseUrl}${path}`;
+}
+
+// Loads models (FBX or glTF, by extension) once and shares them. A loaded asset is the model's root
+// object with its clips in `.animations`; it is shared, so treat it as read-only and place copies
+// from instance() in the scene.
+class AssetManager {
+    constructor() {
+        this.loads = new Map();  // Path -> promise of the asset
+        this.loaded = new Map(); // Path -> asset, once it arrived
+        this.fbxLoader = new FBXLoader();
+        this.gltfLoader = new GLTFLoader();
+    }
+
+    load(path, onProgress) {
+        if (!this.loads.has(path)) {
+            const loading = this.download(path, onProgress).then((asset) => {
+                this.loaded.set(path, asset);
+                return asset;
+            });
+            loading.catch(() => this.loads.delete(path)); // A later call tries again
+            this.loads.set(path, loading);
+        }
+        return this.loads.get(path);
+    }
+
+    async download(path, onProgress) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetch(path, onProgress);
+            } catch (err) {
+                if (attempt >= RETRIES || err.response?.status === 404) throw err;
+                console.warn(`⚠️ Loading ${path} failed, retrying`, err);
+                await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * 2 ** attempt));
+            }
+        }
+    }
+
+    fetch(path, onProgress) {
+        const progress = (event) => {
+            if (event.lengthComputable && event.total > 0) onProgress?.(event.loaded / event.total);
+        };
+        if (path.toLowerCase().endsWith('.fbx')) return this.fbxLoader.loadAsync(assetUrl(path), progress);
+        return this.gltfLoader.loadAsync(assetUrl(path), progress).then((gltf) => {
+            gltf.scene.animations = gltf.animations;
+            return gltf.scene;
+        });
+    }
+
+    // The asset if it has loaded, else null
+    get(path) {
+        return this.loaded.get(path) ?? null;
+    }
+
+    // A copy to place in the scene, with its own skeleton so it animates on its own; null if not loaded
+    instance(path) {
+        const asset = this.get(path);
+        return asset ? cloneSkinned(asset) : null;
+    }
+
+    // First animation clip of a loaded file, or null
+    clip(path) {
+        return this.get(path)?.animations[0] ?? null;
+    }
+
+    // Loads entries ({ path, label, required }) in parallel, calling onProgress(fraction, label) as
+    // files come in. Resolves with the entries that failed, each with its error.
+    async preload(entries, onProgress) {
+        const byPath = new Map();
+        for (const entry of entries) {
+            const required = entry.required || byPath.get(entry.path)?.required;
+            byPath.set(entry.path, { ...entry, required: Boolean(required) });
+        }
+        const fractions = new Map([...byPath.keys()].map(path => [path, this.loaded.has(path) ? 1 : 0]));
+        const report = (label) => {
+            const total = [...fractions.values()].reduce((sum, fraction) => sum + fraction, 0);
+            onProgress?.(fractions.size ? total / fractions.size : 1, label);
+        };
+        report(entries[0]?.label ?? '');
+
+        const failed = [];
+        await Promise.all([...byPath.values()].map(entry => this.load(entry.path, (fraction) => {
+            fractions.set(entry.path, Math.min(fraction, 0.99)); // Parsing still follows the download
+            report(entry.label);
+        }).then(() => {
+            fractions.set(entry.path, 1);
+            report(entry.label);
+        }).catch((error) => {
+            fractions.set(entry.path, 1);
+            failed.push({ ...entry, error });
+            console[entry.required ? 'error' : 'warn'](`${entry.required ? '❌' : '⚠️'} Could not load ${entry.path}:`, error);
+            report(entry.label);
+        })));
+        return failed;
+    }
+}
+
+export const assets = new AssetManager();
@@ -0,0 +1,354 @@
+import * as THREE from 'three';
+import { rapier, world, GROUP, collisionGroups } from './physics.js';
+
+const BLADE_LENGTH = 2.5;                    // Reach from the hilt (m)
+const SWING_ARC = THREE.MathUtils.degToRad(150);
+const SWING_DURATION = 0.5;                  // Fallback until the attack clip has loaded
+const HIT_WINDOW = [0.3, 0.7];               // Part of the swing where the blade can cut
+const SUB_STEPS = 8;                         // Blade poses tested per physics step
+const RELOAD_TIME = 1.2;
+
+const HIT_DULLNESS = 8;   // Sharpness lost per clean cut
+const BONE_DULLNESS = 30; // Sharpness lost when the blade chops into bone
+
+// Pair of ODM blades: sharpness that wears down, a limited stock of spares and
+// a swing that sweeps the blade through space to find what it cut
+export class Blades {
+    constructor(player) {
+        this.player = player;
+
+        this.maxStock = 8;          // Spare pairs in the scabbards
+        this.stock = this.maxStock;
+        this.sharpness = 100;       // Current pair, 0 = broken
+        this.reloadTimer = 0;
+        this.swing = null;
+        this.swingDirection = 1;    // Alternates every attack
+
+        this.createUI();
+        this.updateUI();
+    }
+
+    get isBroken() {
+        return this.sharpness <= 0;
+    }
+
+    get isReloading() {
+        return this.reloadTimer > 0;
+    }
+
+    canSwing() {
+        return !this.isBroken && !this.isReloading && !this.swing;
+    }
+
+    // Starts a swing along the aim direction, lasting as long as the attack animation
+    startSwing(aim, duration = SWING_DURATION) {
+        if (!this.canSwing()) {
+            if (this.isBroken) console.log("🗡️ Blades broken - reload!");
+            return false;
+        }
+
+        this.swing = {
+            time: 0,
+            duration,
+            direction: this.swingDirection,
+            aim: aim.clone().normalize(),
+            prevHilt: null,
+            prevAngle: null,
+            contacts: new Map(), // Napes/limbs the blade is inside, scored once it comes out
+            hits: new Set()      // Each nape/limb can only be cut once per swing
+        };
+        this.swingDirection *= -1;
+        return true;
+    }
+
+    reload() {
+        if (this.isReloading || this.swing) return;
+        if (this.stock <= 0) {
+            console.log("❌ No spare blades left!");
+            return;
+        }
+        this.reloadTimer = RELOAD_TIME;
+        this.updateUI();
+        console.log("🔄 Reloading blades...");
+    }
+
+    // Adds spare pairs, used by resupply stations
+    restock(pairs = 1) {
+        this.stock = Math.min(this.maxStock, this.stock + pairs);
+        this.updateUI();
+    }
+
+    get isFull() {
+        return this.stock >= this.maxStock;
+    }
+
+    dull(amount) {
+        this.sharpness = Math.max(0, this.sharpness - amount);
+        if (this.isBroken) {
+            this.swing = null;
+            console.log("💔 Blade broke!");
+        }
+        this.updateUI();
+    }
+
+    update(dt, titans) {
+        if (this.reloadTimer > 0) {
+            this.reloadTimer -= dt;
+            if (this.reloadTimer <= 0) {
+                this.reloadTimer = 0;
+                this.stock--;
+                this.sharpness = 100;
+                console.log(`🗡️ Fresh blades! ${this.stock} pairs left`);
+            }
+            this.updateUI();
+        }
+
+        if (this.swing) this.updateSwing(dt, titans);
+    }
+
+    updateSwing(dt, titans) {
+        const swing = this.swing;
+        swing.time += dt;
+        const progress = swing.time / swing.duration;
+
+        if (progress >= 1) {
+            this.swing = null;
+            return;
+        }
+
+        const [start, end] = HIT_WINDOW;
+        if (progress < start) return;
+        if (progress > end) {
+            this.resolveContacts(); // Blade stopped inside something - score what was cut
+            return;
+        }
+
+        // Blade sweeps from one side of the aim to the other across the hit window
+        const t = (progress - start) / (end - start);
+        const angle = swing.direction * SWING_ARC * (0.5 - t);
+        const p = this.player.body.translation();
+        const hilt = new THREE.Vector3(p.x, p.y, p.z).addScaledVector(swing.aim, 0.3);
+
+        const prevHilt = swing.prevHilt ?? hilt;
+        const prevAngle = swing.prevAngle ?? angle;
+        swing.prevHilt = hilt;
+        swing.prevAngle = angle;
+
+        // Striking a building or the wall snaps the blade
+        const tipDir = this.bladeDirection(swing.aim, angle);
+        const ray = new rapier.Ray(hilt, tipDir);
+        const filter = collisionGroups(GROUP.PLAYER, GROUP.BUILDING | GROUP.WALL);
+        if (world.castRay(ray, BLADE_LENGTH, true, undefined, filter)) {
+            console.log("🏢 Blade struck stone!");
+            this.player.input.rumble(0.6, 80);
+            this.dull(100);
+            return;
+        }
+
+        // Interpolate blade poses between the previous and current step so fast swings don't tunnel
+        const speed = new THREE.Vector3().copy(this.player.body.linvel()).length();
+        let prevTip = this.tipAt(prevHilt, swing.aim, prevAngle);
+        for (let i = 1; i <= SUB_STEPS && this.swing; i++) {
+            const s = i / SUB_STEPS;
+            const subHilt = prevHilt.clone().lerp(hilt, s);
+            const subAngle = THREE.MathUtils.lerp(prevAngle, angle, s);
+            const tip = this.tipAt(subHilt, swing.aim, subAngle);
+            const motion = new THREE.Vector3().subVectors(tip, prevTip);
+            prevTip = tip;
+            if (motion.lengthSq() < 1e-8) continue;
+            motion.normalize();
+
+            for (const titan of titans) this.sweepTitan(titan, subHilt, tip, motion, speed);
+        }
+    }
+
+    bladeDirection(aim, angle) {
+        const right = new THREE.Vector3().crossVectors(aim, new THREE.Vector3(0, 1, 0));
+        if (right.lengthSq() < 1e-6) right.set(1, 0, 0); // Aiming straight up or down
+        right.normalize();
+        return aim.clone().multiplyScalar(Math.cos(angle)).addScaledVector(right, Math.sin(angle));
+    }
+
+    tipAt(hilt, aim, angle) {
+        return hilt.clone().addScaledVector(this.bladeDirection(aim, angle), BLADE_LENGTH);
+    }
+
+    // Tracks how deep the blade gets into each nape/limb; a cut is scored when it comes back out
+    sweepTitan(titan, hilt, tip, motion, speed) {
+        if (!titan.isAlive || !this.swing) return;
+
+        const parts = [{
+            key: titan.napeMesh,
+            depth: Math.min(1, segmentBoxDepth(hilt, tip, titan.napeMesh, titan.type.napeSize / 2) / titan.type.napeSize),
+            cut: (contact) => this.cutNape(titan, contact)
+        }];
+        for (const limb of titan.limbs.getTargets()) {
+            parts.push({
+                key: limb,
+                depth: Math.max(0, 1 - segmentPointDistance(hilt, tip, limb.position) / limb.radius),
+                cut: (contact) => this.cutLimb(titan, limb, contact)
+            });
+        }
+
+        const contacts = this.swing.contacts;
+        for (const part of parts) {
+            if (this.swing.hits.has(part.key)) continue;
+
+            const contact = contacts.get(part.key);
+            if (part.depth > 0) {
+                if (!contact) {
+                    contacts.set(part.key, { depth: part.depth, motion: motion.clone(), speed, cut: part.cut });
+                } else if (part.depth > contact.depth) {
+                    contact.depth = part.depth;
+                    contact.motion.copy(motion);
+                }
+            } else if (contact) {
+                this.resolveContact(part.key, contact);
+                if (!this.swing) return; // Blade broke
+            }
+        }
+    }
+
+    resolveContacts() {
+        for (const [key, contact] of this.swing.contacts) {
+            this.resolveContact(key, contact);
+            if (!this.swing) return;
+        }
+    }
+
+    resolveContact(key, contact) {
+        this.swing.contacts.delete(key);
+        this.swing.hits.add(key);
+        contact.cut(contact);
+    }
+
+    // Base damage: 10, +2 per 1 m/s of speed, scaled by how sharp the blade still is
+    cutDamage(speed) {
+        return (10 + speed * 2.0) * (0.25 + 0.75 * this.sharpness / 100);
+    }
+
+    // Nape: scored by how deep the blade got through the volume and how cleanly it slices across
+    cutNape(titan, contact) {
+        if (!titan.isAlive) return;
+
+        const titanUp = new THREE.Vector3(0, 1, 0).applyQuaternion(titan.mesh.quaternion);
+        const angleScore = 1 - Math.abs(contact.motion.dot(titanUp)); // Horizontal slice = 1, vertical chop = 0
+        const quality = contact.depth * (0.4 + 0.6 * angleScore);
+        console.log(`⚔️ Nape cut! depth ${(contact.depth * 100).toFixed(0)}% angle ${(angleScore * 100).toFixed(0)}%`);
+
+        titan.takeDamage(this.cutDamage(contact.speed) * (0.5 + quality));
+        this.player.input.rumble(0.3 + 0.5 * quality, 120);
+        this.dull(angleScore < 0.3 ? BONE_DULLNESS : HIT_DULLNESS); // Chopping down hits the spine
+    }
+
+    // Limbs are all bone underneath
+    cutLimb(titan, limb, contact) {
+        if (!titan.isAlive) return;
+
+        titan.damageLimb(limb.name, this.cutDamage(contact.speed) * (0.5 + contact.depth));
+        this.player.input.rumble(0.4, 120);
+        this.dull(BONE_DULLNESS);
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            width: 200px;
+            color: #dddddd;
+            font-family: 'Arial', sans-serif;
+            font-weight: bold;
+            font-size: 12px;
+            text-shadow: 1px 1px 2px black;
+            pointer-events: none;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            margin-bottom: 4px;
+        `;
+        const label = document.createElement('span');
+        label.textContent = 'BLADES';
+        this.stockLabel = document.createElement('span');
+        header.appendChild(label);
+        header.appendChild(this.stockLabel);
+        this.container.appendChild(header);
+
+        const barBg = document.createElement('div');
+        barBg.style.cssText = `
+            height: 10px;
+            background: #222;
+            border: 2px solid #aaaaaa;
+            border-radius: 5px;
+            overflow: hidden;
+        `;
+        this.sharpnessBar = document.createElement('div');
+        this.sharpnessBar.style.cssText = `
+            width: 100%;
+            height: 100%;
+            background: linear-gradient(to right, #777777, #ffffff);
+            transition: width 0.1s;
+        `;
+        barBg.appendChild(this.sharpnessBar);
+        this.container.appendChild(barBg);
+
+        this.statusLabel = document.createElement('div');
+        this.statusLabel.style.cssText = `
+            margin-top: 4px;
+            color: #ff8888;
+        `;
+        this.container.appendChild(this.statusLabel);
+
+        document.body.appendChild(this.container);
+    }
+
+    updateUI() {
+        if (!this.container) return;
+
+        this.stockLabel.textContent = `x${this.stock}`;
+        this.sharpnessBar.style.width = `${this.sharpness}%`;
+
+        if (this.isReloading) {
+            this.statusLabel.textContent = 'RELOADING...';
+        } else if (this.isBroken) {
+            this.statusLabel.textContent = this.stock > 0 ? 'BROKEN - RELOAD [G]' : 'NO BLADES LEFT';
+        } else {
+            this.statusLabel.textContent = '';
+        }
+    }
+}
+
+// Length of the hilt->tip segment inside a box of the given half size, in the box's local frame
+function segmentBoxDepth(a, b, boxObject, halfSize) {
+    boxObject.updateWorldMatrix(true, false);
+    const la = boxObject.worldToLocal(a.clone());
+    const lb = boxObject.worldToLocal(b.clone());
+    const dir = new THREE.Vector3().subVectors(lb, la);
+
+    // Slab test, clipped to the segment
+    let tMin = 0;
+    let tMax = 1;
+    for (const axis of ['x', 'y', 'z']) {
+        if (Math.abs(dir[axis]) < 1e-8) {
+            if (Math.abs(la[axis]) > halfSize) return 0;
+            continue;
+        }
+        let t1 = (-halfSize - la[axis]) / dir[axis];
+        let t2 = (halfSize - la[axis]) / dir[axis];
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return 0;
+    }
+    return (tMax - tMin) * dir.length();
+}
+
+function segmentPointDistance(a, b, point) {
+    const ab = new THREE.Vector3().subVectors(b, a);
+    const t = THREE.MathUtils.clamp(new THREE.Vector3().subVectors(point, a).dot(ab) / ab.lengthSq(), 0, 1);
+    return a.clone().addScaledVector(ab, t).distanceTo(point);
+}
@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { rapier } from './physics.js';
+
+const WELD_TOLERANCE = 1e-3; // Model units; vertices closer than this count as one when finding parts
+
+const shapes = new WeakMap(); // Loaded model -> { trimesh, convex }, shared by every building using it
+
+// Collider descriptions for a building, in the building body's frame.
+// quality: 'box' (bounding box), 'convex' or 'trimesh' (exact triangles, hollow). 'convex' is one hull
+// per connected mesh part, not a convex decomposition: a model built as a single mesh still gets one
+// hull, which fills in its overhangs and recesses. scale: how the model is stretched to fill its lot.
+// Returns null for 'box' or when the model has no usable geometry, the caller then falls back to its box.
+//
+// Only the model's points are cached. Rapier computes the hulls and the triangle tree again for every
+// collider it creates, each time a building's chunk loads, so these suit a few hand-placed landmarks
+// rather than a whole generated city (which keeps the box).
+export function buildingColliderDescs(model, quality, scale) {
+    if (quality === 'box') return null;
+
+    const shape = getShape(model);
+    if (!shape) return null;
+
+    if (quality === 'trimesh') {
+        return [rapier.ColliderDesc.trimesh(scalePoints(shape.trimesh.vertices, scale), shape.trimesh.indices)];
+    }
+    const hulls = shape.convex
+        .map(points => rapier.ColliderDesc.convexHull(scalePoints(points, scale)))
+        .filter(Boolean); // Flat parts have no hull
+    return hulls.length ? hulls : null;
+}
+
+// Geometry of every mesh in the model, welded and in the model's own frame, computed once per model
+function getShape(model) {
+    if (shapes.has(model)) return shapes.get(model);
+
+    model.updateMatrixWorld(true);
+    const toModel = new THREE.Matrix4().copy(model.matrixWorld).invert();
+    const geometries = [];
+    model.traverse((child) => {
+        if (!child.isMesh) return;
+        let geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', child.geometry.getAttribute('position').clone());
+        if (child.geometry.index) geometry.setIndex(child.geometry.index.clone());
+        geometry.applyMatrix4(new THREE.Matrix4().multiplyMatrices(toModel, child.matrixWorld));
+        geometry = mergeVertices(geometry, WELD_TOLERANCE);
+        geometries.push(geometry);
+    });
+
+    let shape = null;
+    if (geometries.length) {
+        const vertices = [];
+        const indices = [];
+        const convex = [];
+        for (const geometry of geometries) {
+            const offset = vertices.length / 3;
+            const positions = geometry.getAttribute('position').array;
+            const index = geometry.index.array;
+            for (const value of positions) vertices.push(value);
+            for (const i of index) indices.push(i + offset);
+            convex.push(...connectedParts(positions, index));
+        }
+        shape = {
+            trimesh: { vertices: new Float32Array(vertices), indices: new Uint32Array(indices) },
+            convex
+        };
+    }
+    shapes.set(model, shape);
+    return shape;
+}
+
+// Splits a welded mesh into the groups of triangles that share vertices, as point lists
+function connectedParts(positions, index) {
+    const parent = Array.from({ length: positions.length / 3 }, (_, i) => i);
+    const root = (i) => {
+        while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+        return i;
+    };
+    for (let i = 0; i < index.length; i += 3) {
+        parent[root(index[i + 1])] = root(index[i]);
+        parent[root(index[i + 2])] = root(index[i]);
+    }
+
+    const parts = new Map();
+    for (let i = 0; i < parent.length; i++) {
+        const part = root(i);
+        if (!parts.has(part)) parts.set(part, []);
+        parts.get(part).push(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    }
+    return [...parts.values()].map(points => new Float32Array(points));
+}
+
+function scalePoints(points, scale) {
+    const scaled = new Float32Array(points.length);
+    for (let i = 0; i < points.length; i += 3) {
+        scaled[i] = points[i] * scale.x;
+        scaled[i + 1] = points[i + 1] * scale.y;
+        scaled[i + 2] = points[i + 2] * scale.z;
+    }
+    return scaled;
+}
@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+
+const DETAIL_DISTANCE = 250;  // Full models closer than this, impostor boxes further out
+const DRAW_DISTANCE = 1000;   // Nothing beyond the camera's far plane
+const STAIRS_DISTANCE = 150;  // Staircases are hidden further away than this
+const REFRESH_DISTANCE = 20;  // Camera movement before buildings are sorted into LODs again
+const MIN_CAPACITY = 64;
+
+// Draws every building of a model with one InstancedMesh per part of the model, swapping far
+// buildings for single-coloured boxes. Draw calls stay the same however big the city gets.
+export class BuildingRenderer {
+    constructor(scene) {
+        this.scene = scene;
+        this.models = new Map(); // Model path -> { parts, impostor, capacity, detailMeshes, impostorMesh, detail, far }
+        this.refreshedAt = null; // Camera position of the last LOD sort
+        this.dirty = true;
+    }
+
+    // Registers a loaded model; its meshes are baked into the model's frame so every part shares the building's matrix
+    addModel(name, model) {
+        model.updateMatrixWorld(true);
+        const toModel = new THREE.Matrix4().copy(model.matrixWorld).invert();
+        const parts = [];
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+            const geometry = child.geometry.clone().applyMatrix4(new THREE.Matrix4().multiplyMatrices(toModel, child.matrixWorld));
+            parts.push({ geometry, material: child.material });
+        });
+
+        // The impostor fills the model's bounding box
+        const box = new THREE.Box3();
+        parts.forEach(part => box.union(new THREE.Box3().setFromBufferAttribute(part.geometry.getAttribute('position'))));
+        const size = box.getSize(new THREE.Vector3());
+        const impostor = {
+            geometry: new THREE.BoxGeometry(size.x, size.y, size.z).translate(...box.getCenter(new THREE.Vector3()).toArray()),
+            material: new THREE.MeshLambertMaterial({ color: averageColor(parts.flatMap(part => [].concat(part.material))) })
+        };
+
+        const entry = { parts, impostor, capacity: 0, detailMeshes: [], impostorMesh: null, detail: [], far: [] };
+        this.models.set(name, entry);
+        this.allocate(entry, MIN_CAPACITY);
+    }
+
+    // (Re)creates the instanced meshes of a model with room for the given number of buildings
+    allocate(entry, capacity) {
+        entry.detailMeshes.forEach(mesh => { this.scene.remove(mesh); mesh.dispose(); });
+        if (entry.impostorMesh) {
+            this.scene.remove(entry.impostorMesh);
+            entry.impostorMesh.dispose();
+        }
+
+        entry.capacity = capacity;
+        entry.detailMeshes = entry.parts.map(part => {
+            const mesh = new THREE.InstancedMesh(part.geometry, part.material, capacity);
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            return mesh;
+        });
+        entry.impostorMesh = new THREE.InstancedMesh(entry.impostor.geometry, entry.impostor.material, capacity);
+        entry.impostorMesh.receiveShadow = true;
+        [...entry.detailMeshes, entry.impostorMesh].forEach((mesh) => {
+            mesh.count = 0;
+            this.scene.add(mesh);
+        });
+    }
+
+    // Buildings were added, moved or collapsed: sort them again on the next update
+    invalidate() {
+        this.dirty = true;
+    }
+
+    // Once per frame. Buildings are only re-sorted when the camera moved far enough or something changed
+    update(cameraPosition, buildings) {
+        if (!this.dirty && this.refreshedAt && this.refreshedAt.distanceTo(cameraPosition) < REFRESH_DISTANCE) return;
+        this.dirty = false;
+        this.refreshedAt = cameraPosition.clone();
+
+        for (const entry of this.models.values()) {
+            entry.detail = [];
+            entry.far = [];
+        }
+        for (const building of buildings) {
+            const entry = this.models.get(building.config.model);
+            building.renderSlot = null;
+            if (building.destroyed || !entry) continue;
+
+            const [x, z] = building.config.position;
+            const distance = Math.hypot(x - cameraPosition.x, z - cameraPosition.z);
+            if (building.stairs.mesh) building.stairs.mesh.visible = distance < STAIRS_DISTANCE;
+            if (distance >= DRAW_DISTANCE) continue;
+
+            const list = distance < DETAIL_DISTANCE ? entry.detail : entry.far;
+            building.renderSlot = { entry, far: list === entry.far, index: list.length };
+            list.push(building);
+        }
+
+        for (const entry of this.models.values()) {
+            const needed = Math.max(entry.detail.length, entry.far.length);
+            if (needed > entry.capacity) this.allocate(entry, Math.max(needed, entry.capacity * 2));
+
+            entry.detailMeshes.forEach(mesh => fill(mesh, entry.detail));
+            fill(entry.impostorMesh, entry.far);
+        }
+    }
+
+    // Level editor: moves a building's instance while it is being dragged, before it is rebuilt
+    preview(building, matrix) {
+        const slot = building.renderSlot;
+        if (!slot) return;
+        const meshes = slot.far ? [slot.entry.impostorMesh] : slot.entry.detailMeshes;
+        meshes.forEach((mesh) => {
+            mesh.setMatrixAt(slot.index, matrix);
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.computeBoundingSphere();
+        });
+    }
+
+    // Nearest drawn building under a ray, as { building, distance }, or null
+    pick(raycaster) {
+        let nearest = null;
+        for (const entry of this.models.values()) {
+            const targets = [[entry.impostorMesh, entry.far], ...entry.detailMeshes.map(mesh => [mesh, entry.detail])];
+            for (const [mesh, list] of targets) {
+                const hit = raycaster.intersectObject(mesh, false)[0];
+                if (hit && (!nearest || hit.distance < nearest.distance)) {
+                    nearest = { building: list[hit.instanceId], distance: hit.distance };
+                }
+            }
+        }
+        return nearest;
+    }
+}
+
+function fill(mesh, buildings) {
+    buildings.forEach((building, index) => mesh.setMatrixAt(index, building.matrix));
+    mesh.count = buildings.length;
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.computeBoundingSphere(); // Used for frustum culling and picking
+}
+
+// Rough colour of a model from afar: the average of its textures where they can be read, else the material colours
+function averageColor(materials) {
+    const color = new THREE.Color(0, 0, 0);
+    for (const material of materials) {
+        const part = material.color ? material.color.clone() : new THREE.Color(0xffffff);
+        const image = material.map?.image;
+        if (image && typeof document !== 'undefined') {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = canvas.height = 1;
+                const context = canvas.getContext('2d');
+                context.drawImage(image, 0, 0, 1, 1); // Downscaling averages the texture
+                const [r, g, b] = context.getImageData(0, 0, 1, 1).data;
+                part.multiply(new THREE.Color().setRGB(r / 255, g / 255, b / 255, THREE.SRGBColorSpace));
+            } catch (err) {
+                console.warn('⚠️ Could not sample building texture for its impostor', err);
+            }
+        }
+        color.add(part);
+    }
+    return materials.length ? color.multiplyScalar(1 / materials.length) : color.set(0x888888);
+}
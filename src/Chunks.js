@@ -0,0 +1,48 @@
+export const CHUNK_SIZE = 200; // Edge length of a world chunk (m)
+
+export function chunkOf(x, z) {
+    return [Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE)];
+}
+
+export function chunkKey(cx, cz) {
+    return `${cx},${cz}`;
+}
+
+// Keeps the chunks within `radius` chunks of a focus point loaded. Chunks are only unloaded once the
+// focus is a chunk further away, so walking back and forth over a border doesn't reload anything.
+export class ChunkStreamer {
+    constructor({ radius, onLoad, onUnload }) {
+        this.radius = radius;
+        this.onLoad = onLoad;     // (key, cx, cz)
+        this.onUnload = onUnload; // (key)
+        this.loaded = new Map();  // Key -> [cx, cz]
+        this.center = null;       // Key of the chunk the focus was in at the last update
+    }
+
+    isLoaded(x, z) {
+        return this.loaded.has(chunkKey(...chunkOf(x, z)));
+    }
+
+    // Cheap unless the focus entered another chunk
+    update(x, z) {
+        const [cx, cz] = chunkOf(x, z);
+        const center = chunkKey(cx, cz);
+        if (center === this.center) return;
+        this.center = center;
+
+        for (const [key, [ox, oz]] of this.loaded) {
+            if (Math.max(Math.abs(ox - cx), Math.abs(oz - cz)) > this.radius + 1) {
+                this.loaded.delete(key);
+                this.onUnload(key);
+            }
+        }
+        for (let dx = -this.radius; dx <= this.radius; dx++) {
+            for (let dz = -this.radius; dz <= this.radius; dz++) {
+                const key = chunkKey(cx + dx, cz + dz);
+                if (this.loaded.has(key)) continue;
+                this.loaded.set(key, [cx + dx, cz + dz]);
+                this.onLoad(key, cx + dx, cz + dz);
+            }
+        }
+    }
+}
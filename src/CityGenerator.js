@@ -0,0 +1,227 @@
+import { createRandom } from './random.js';
+
+export const CITY_DEFAULTS = {
+    seed: 1,
+    layout: 'grid',     // 'grid': straight streets and square blocks, 'organic': ring roads and radial lanes
+    radius: 140,        // Radius of the inner district, walled in when there are walls (m)
+    plazaRadius: 40,    // Open square in the middle where the player spawns
+    density: 0.7,       // Chance that a lot of the inner district gets a building
+    walls: 3,           // Concentric wall rings, each one a district further out; 0 for an open city
+    wallSpacing: 90,    // Distance between wall rings (m)
+    gates: 4,           // Gates per wall, on the main streets
+    outerDensity: 0.2,  // Building density of the outermost district, districts in between blend
+    blockSize: 48,      // Distance between streets (m)
+    streetWidth: 8,
+    minHeight: 5,
+    maxHeight: 25,
+    heightSkew: 1.5,    // >1: mostly low buildings and a few towers, <1: mostly tall ones
+    downtown: 0.5       // 0-1, how much lower buildings get towards the edge of the district
+};
+
+export const CITY_LAYOUTS = ['grid', 'organic'];
+
+// Inner wall first, further rings are numbered
+const WALL_NAMES = ['Wall Sina', 'Wall Rose', 'Wall Maria'];
+const WALL_CLEARANCE = 10; // Half the thickness of a wall, lots keep at least this far from it
+
+// Deterministic city layout: the same seed and parameters always give the same streets,
+// buildings and walls. Buildings are { x, z, width, depth, height, rotation }; local +x (width)
+// points at the street the building faces. Streets are straight segments { from, to, width }.
+// Walls are rings { name, radius, gates } with gate angles on the main streets; the city is
+// split into districts between them, each with its own building density.
+export function generateCity(options = {}) {
+    const params = { ...CITY_DEFAULTS, ...options };
+    // Keep hand-edited URLs from producing negative lots
+    params.streetWidth = Math.max(0, params.streetWidth);
+    params.blockSize = Math.max(params.blockSize, params.streetWidth + 10);
+    params.radius = Math.max(params.radius, params.plazaRadius + params.blockSize);
+    params.walls = Math.max(0, Math.floor(params.walls));
+    params.wallSpacing = Math.max(params.wallSpacing, params.blockSize);
+    params.gates = Math.max(1, Math.floor(params.gates));
+    const random = createRandom(params.seed);
+
+    const walls = [];
+    for (let k = 0; k < params.walls; k++) {
+        walls.push({ name: WALL_NAMES[k] ?? `Wall ${k + 1}`, radius: params.radius + k * params.wallSpacing, gates: [] });
+    }
+    const district = {
+        outerRadius: walls.length ? walls[walls.length - 1].radius : params.radius,
+        walls,
+        // Lots on a wall's footprint stay empty
+        isBlocked: (dist, lotSize) => walls.some(wall => Math.abs(dist - wall.radius) < WALL_CLEARANCE + lotSize * 0.65),
+        density: (dist) => {
+            if (walls.length < 2) return params.density;
+            const index = walls.findIndex(wall => dist <= wall.radius);
+            const t = (index === -1 ? walls.length - 1 : index) / (walls.length - 1);
+            return params.density + (params.outerDensity - params.density) * t;
+        }
+    };
+
+    const layout = params.layout === 'organic'
+        ? generateOrganic(params, random, district)
+        : generateGrid(params, random, district);
+
+    for (const building of layout.buildings) {
+        building.height = buildingHeight(params, random, Math.hypot(building.x, building.z), district.outerRadius);
+    }
+
+    return { params, ...layout, walls };
+}
+
+// Manhattan style: two sets of parallel streets at a random angle, each block split into four lots.
+// Gates sit where the avenues through the centre meet the walls.
+function generateGrid(params, random, district) {
+    const { plazaRadius, blockSize, streetWidth } = params;
+    const radius = district.outerRadius;
+    const angle = random() * Math.PI / 2;
+    const u = { x: Math.cos(angle), z: -Math.sin(angle) }; // Grid axes in world space
+    const v = { x: Math.sin(angle), z: Math.cos(angle) };
+    const toWorld = (a, b) => ({ x: u.x * a + v.x * b, z: u.z * a + v.z * b });
+
+    const streets = [];
+    const reach = radius + blockSize / 2; // Streets run a little past the last buildings
+    const lines = Math.ceil(reach / blockSize);
+    for (let k = -lines; k <= lines; k++) {
+        const offset = k * blockSize;
+        if (Math.abs(offset) >= reach) continue;
+        const half = Math.sqrt(reach * reach - offset * offset);
+        streets.push({ from: toWorld(offset, -half), to: toWorld(offset, half), width: streetWidth });
+        streets.push({ from: toWorld(-half, offset), to: toWorld(half, offset), width: streetWidth });
+    }
+
+    const buildings = [];
+    const lotSize = (blockSize - streetWidth) / 2;
+    for (let i = -lines; i < lines; i++) {
+        for (let j = -lines; j < lines; j++) {
+            const blockA = (i + 0.5) * blockSize;
+            const blockB = (j + 0.5) * blockSize;
+
+            for (const [sa, sb] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+                const lotA = blockA + sa * lotSize / 2;
+                const lotB = blockB + sb * lotSize / 2;
+                const dist = Math.hypot(lotA, lotB);
+                if (dist < plazaRadius || dist > radius || district.isBlocked(dist, lotSize)) continue;
+                if (random() > district.density(dist)) continue;
+
+                // Every lot is on a block corner; face the street along the grid's first axis
+                const facing = toWorld(sa, 0);
+                buildings.push({
+                    ...toWorld(lotA, lotB),
+                    width: lotSize * (0.6 + random() * 0.3),
+                    depth: lotSize * (0.6 + random() * 0.3),
+                    rotation: Math.atan2(-facing.z, facing.x)
+                });
+            }
+        }
+    }
+
+    const avenue = Math.atan2(u.z, u.x);
+    for (const wall of district.walls) {
+        for (let g = 0; g < params.gates; g++) wall.gates.push(avenue + g / params.gates * Math.PI * 2);
+    }
+
+    return { streets, buildings };
+}
+
+// Old town: ring roads around the plaza joined by radial lanes, two rows of houses per ring.
+// Gates sit where lanes, spread evenly over the lane count, meet the walls.
+function generateOrganic(params, random, district) {
+    const { plazaRadius, blockSize, streetWidth } = params;
+    const radius = district.outerRadius;
+    const streets = [];
+
+    const rings = [];
+    for (let r = plazaRadius; r <= radius + blockSize / 2; r += blockSize) rings.push(r);
+    for (const r of rings) {
+        const segments = Math.max(12, Math.ceil(2 * Math.PI * r / 10));
+        for (let s = 0; s < segments; s++) {
+            const a1 = s / segments * Math.PI * 2;
+            const a2 = (s + 1) / segments * Math.PI * 2;
+            streets.push({ from: polar(r, a1), to: polar(r, a2), width: streetWidth });
+        }
+    }
+
+    // Lanes at uneven angles so sectors differ in size
+    const laneCount = 6 + Math.floor(random() * 4);
+    const lanes = [];
+    for (let l = 0; l < laneCount; l++) {
+        lanes.push((l + 0.5 + (random() - 0.5) * 0.6) / laneCount * Math.PI * 2);
+    }
+    const outer = rings[rings.length - 1];
+    for (const a of lanes) streets.push({ from: polar(plazaRadius, a), to: polar(outer, a), width: streetWidth });
+
+    const buildings = [];
+    const rowDepth = (blockSize - streetWidth) / 2;
+    for (let k = 0; k < rings.length - 1; k++) {
+        // Outer row of a ring faces the next ring road out, inner row the one in
+        for (const row of [-1, 1]) {
+            const r = (rings[k] + rings[k + 1]) / 2 + row * rowDepth / 2;
+            if (r < plazaRadius || r > radius || district.isBlocked(r, rowDepth)) continue;
+
+            for (let l = 0; l < laneCount; l++) {
+                const start = lanes[l];
+                const end = l + 1 < laneCount ? lanes[l + 1] : lanes[0] + Math.PI * 2;
+                const gap = streetWidth / 2 / r; // Keep clear of the lanes
+                const arc = (end - start - 2 * gap) * r;
+                const lots = Math.floor(arc / rowDepth);
+
+                for (let i = 0; i < lots; i++) {
+                    if (random() > district.density(r)) continue;
+                    const a = start + gap + (i + 0.5 + (random() - 0.5) * 0.3) / lots * (end - start - 2 * gap);
+                    const position = polar(r, a);
+                    const facing = { x: Math.cos(a) * row, z: Math.sin(a) * row };
+                    buildings.push({
+                        ...position,
+                        width: rowDepth * (0.6 + random() * 0.3),
+                        depth: arc / lots * (0.55 + random() * 0.3),
+                        rotation: Math.atan2(-facing.z, facing.x) + (random() - 0.5) * 0.2
+                    });
+                }
+            }
+        }
+    }
+
+    for (const wall of district.walls) {
+        for (let g = 0; g < params.gates; g++) wall.gates.push(lanes[Math.floor(g * laneCount / params.gates) % laneCount]);
+    }
+
+    return { streets, buildings };
+}
+
+// Skewed random height, with the tall end of the range reserved for the middle of the city
+function buildingHeight(params, random, dist, radius) {
+    const { minHeight, maxHeight, heightSkew, downtown } = params;
+    const t = Math.pow(random(), heightSkew);
+    return minHeight + (maxHeight - minHeight) * t * (1 - downtown * Math.min(1, dist / radius));
+}
+
+function polar(r, angle) {
+    return { x: Math.cos(angle) * r, z: Math.sin(angle) * r };
+}
+
+// City parameters from the page URL (?seed=42&layout=organic&density=0.5...), missing ones use defaults
+export function cityParamsFromURL(search) {
+    const query = new URLSearchParams(search);
+    const params = {};
+    for (const [key, fallback] of Object.entries(CITY_DEFAULTS)) {
+        if (!query.has(key)) continue;
+        const value = query.get(key);
+        if (key === 'layout') {
+            if (CITY_LAYOUTS.includes(value)) params.layout = value;
+        } else if (Number.isFinite(Number(value)) && value !== '') {
+            params[key] = key === 'seed' ? Number(value) >>> 0 : Number(value);
+        } else {
+            console.warn(`⚠️ Ignoring city parameter ${key}=${value}, using ${fallback}`);
+        }
+    }
+    return params;
+}
+
+// Query string for a layout: the seed plus whatever differs from the defaults
+export function cityParamsToURL(params) {
+    const query = new URLSearchParams({ seed: params.seed });
+    for (const [key, fallback] of Object.entries(CITY_DEFAULTS)) {
+        if (key !== 'seed' && params[key] !== undefined && params[key] !== fallback) query.set(key, params[key]);
+    }
+    return `?${query}`;
+}
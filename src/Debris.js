@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+import { rapier, world, GROUP, collisionGroups } from './physics.js';
+import { InterpolatedBody } from './GameLoop.js';
+import { random } from './random.js';
+
+const SETTLE_TIME = 8;      // Seconds before a chunk freezes into rubble, if it hasn't come to rest before
+const MAX_CHUNKS = 400;     // Oldest rubble is cleared beyond this
+const CHUNK_SIZE = 6;       // Rough edge length buildings are split into (m)
+const MAX_SPLITS = [3, 4, 3]; // Most chunks along width, height and depth
+const FALLING_FRICTION = 0.15; // Slippery while falling so upper floors slide off the ones below
+const RUBBLE_FRICTION = 0.8;
+
+// Falling building chunks. Collapsing buildings are split into boxes that tumble as dynamic
+// bodies, then freeze into static rubble the player can land and hook on. Titans wade through.
+export class Debris {
+    constructor(scene) {
+        this.scene = scene;
+        this.chunks = []; // { mesh, body, interpolation, age, settled }
+        this.material = new THREE.MeshStandardMaterial({ color: 0x8d8173, roughness: 0.95 });
+    }
+
+    // Splits a building's box into randomly sized chunks and lets them fall. push: horizontal
+    // direction the blow came from, if any
+    shatter(building, push = null) {
+        const [x, z] = building.config.position;
+        const [width, height, depth] = building.config.size;
+        const rotation = building.config.rotation;
+        const quaternion = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), rotation);
+
+        const cutsX = splitSpan(width, MAX_SPLITS[0]);
+        const cutsY = splitSpan(height, MAX_SPLITS[1]);
+        const cutsZ = splitSpan(depth, MAX_SPLITS[2]);
+        for (let i = 0; i < cutsX.length - 1; i++) {
+            for (let j = 0; j < cutsY.length - 1; j++) {
+                for (let k = 0; k < cutsZ.length - 1; k++) {
+                    const size = new THREE.Vector3(cutsX[i + 1] - cutsX[i], cutsY[j + 1] - cutsY[j], cutsZ[k + 1] - cutsZ[k]);
+                    const local = new THREE.Vector3(
+                        (cutsX[i] + cutsX[i + 1]) / 2 - width / 2,
+                        (cutsY[j] + cutsY[j + 1]) / 2,
+                        (cutsZ[k] + cutsZ[k + 1]) / 2 - depth / 2
+                    ).applyQuaternion(quaternion);
+
+                    // Upper chunks spill outwards so the building comes down instead of staying stacked,
+                    // everything drifts away from the blow
+                    const spill = 2 + 6 * j / cutsY.length;
+                    const velocity = new THREE.Vector3(local.x, 0, local.z).normalize().multiplyScalar(spill);
+                    if (push) velocity.addScaledVector(push, 4);
+                    velocity.x += (random() - 0.5) * 2;
+                    velocity.z += (random() - 0.5) * 2;
+
+                    this.spawn(new THREE.Vector3(x + local.x, local.y, z + local.z), size, quaternion, velocity);
+                }
+            }
+        }
+    }
+
+    // A few loose pieces knocked off a wall by a hit
+    chip(point, normal, count = 3) {
+        for (let i = 0; i < count; i++) {
+            const size = new THREE.Vector3(0.5 + random(), 0.5 + random(), 0.5 + random());
+            const velocity = normal.clone().multiplyScalar(3 + random() * 3);
+            velocity.y += 2 + random() * 2;
+            this.spawn(point.clone(), size, new THREE.Quaternion(), velocity);
+        }
+    }
+
+    spawn(position, size, quaternion, velocity) {
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y, size.z), this.material);
+        mesh.quaternion.copy(quaternion);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        this.scene.add(mesh);
+
+        const body = world.createRigidBody(rapier.RigidBodyDesc.dynamic()
+            .setTranslation(position.x, position.y, position.z)
+            .setRotation(quaternion)
+            .setLinvel(velocity.x, velocity.y, velocity.z)
+            .setAngvel({ x: (random() - 0.5) * 2, y: (random() - 0.5) * 2, z: (random() - 0.5) * 2 }));
+        world.createCollider(rapier.ColliderDesc.cuboid(size.x / 2, size.y / 2, size.z / 2)
+            .setFriction(FALLING_FRICTION)
+            .setCollisionGroups(collisionGroups(GROUP.DEBRIS, GROUP.ALL & ~GROUP.TITAN)), body);
+
+        const chunk = { mesh, body, interpolation: new InterpolatedBody(body), age: 0, settled: false };
+        chunk.interpolation.apply(mesh, 1);
+        this.chunks.push(chunk);
+
+        while (this.chunks.length > MAX_CHUNKS) this.remove(this.chunks[0]);
+    }
+
+    remove(chunk) {
+        this.scene.remove(chunk.mesh);
+        chunk.mesh.geometry.dispose();
+        world.removeRigidBody(chunk.body);
+        this.chunks.splice(this.chunks.indexOf(chunk), 1);
+    }
+
+    // Chunks that stopped moving (or fell long enough) turn into fixed rubble
+    update(dt) {
+        for (const chunk of this.chunks) {
+            if (chunk.settled) continue;
+            chunk.age += dt;
+            if (chunk.body.isSleeping() || chunk.age > SETTLE_TIME) {
+                chunk.settled = true;
+                chunk.body.setBodyType(rapier.RigidBodyType.Fixed, false);
+                chunk.body.collider(0).setFriction(RUBBLE_FRICTION);
+            }
+        }
+    }
+
+    // Called after every physics step
+    capturePhysicsState() {
+        for (const chunk of this.chunks) {
+            if (!chunk.settled) chunk.interpolation.capture();
+        }
+    }
+
+    // Called once per rendered frame
+    render(alpha) {
+        for (const chunk of this.chunks) {
+            chunk.interpolation.apply(chunk.mesh, chunk.settled ? 1 : alpha);
+            const rotation = chunk.body.rotation();
+            chunk.mesh.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+        }
+    }
+}
+
+// Cut positions from 0 to length: about one chunk per CHUNK_SIZE, cuts jittered so no two look alike
+function splitSpan(length, maxPieces) {
+    const pieces = Math.max(1, Math.min(maxPieces, Math.round(length / CHUNK_SIZE)));
+    const cuts = [0];
+    for (let i = 1; i < pieces; i++) cuts.push((i + (random() - 0.5) * 0.5) * length / pieces);
+    cuts.push(length);
+    return cuts;
+}
@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+import { FIXED_TIMESTEP } from './physics.js';
+
+// Fixed-timestep loop: simulation runs in constant steps regardless of the
+// monitor refresh rate, rendering interpolates between the last two states.
+export class GameLoop {
+    constructor({ fixedUpdate, render, timestep = FIXED_TIMESTEP, maxSubSteps = 5 }) {
+        this.fixedUpdate = fixedUpdate;
+        this.render = render;
+        this.timestep = timestep;
+        this.maxSubSteps = maxSubSteps; // Cap catch-up work after a stall (tab switch, breakpoint)
+        this.maxFrameTime = 0.25;
+
+        this.accumulator = 0;
+        this.lastTime = 0;
+        this.running = false;
+        this.paused = false; // Keeps rendering but stops simulating (replay timeline)
+        this.frameId = null;
+
+        this.frame = this.frame.bind(this);
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.accumulator = 0;
+        this.lastTime = performance.now();
+        this.frameId = requestAnimationFrame(this.frame);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    frame(now) {
+        if (!this.running) return;
+        this.frameId = requestAnimationFrame(this.frame);
+
+        // Hidden tabs get no rAF callbacks, so the first frame back can be seconds long
+        const frameTime = Math.min((now - this.lastTime) / 1000, this.maxFrameTime);
+        this.lastTime = now;
+        if (!this.paused) this.accumulator += frameTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.timestep && steps < this.maxSubSteps) {
+            this.fixedUpdate(this.timestep);
+            this.accumulator -= this.timestep;
+            steps++;
+        }
+
+        // Still behind after the cap - drop the backlog instead of spiralling
+        if (this.accumulator >= this.timestep) {
+            this.accumulator %= this.timestep;
+        }
+
+        const alpha = this.accumulator / this.timestep;
+        this.render(alpha, frameTime);
+    }
+}
+
+// Keeps the previous and current physics position of a rigid body so meshes
+// can be drawn between two simulation states.
+export class InterpolatedBody {
+    constructor(body) {
+        this.body = body;
+        this.previous = new THREE.Vector3();
+        this.current = new THREE.Vector3();
+        this.reset();
+    }
+
+    // Snap both states to the body (after spawning or teleporting)
+    reset() {
+        const pos = this.body.translation();
+        this.current.set(pos.x, pos.y, pos.z);
+        this.previous.copy(this.current);
+    }
+
+    // Call once after every world.step()
+    capture() {
+        const pos = this.body.translation();
+        this.previous.copy(this.current);
+        this.current.set(pos.x, pos.y, pos.z);
+    }
+
+    apply(object, alpha) {
+        object.position.lerpVectors(this.previous, this.current, alpha);
+    }
+}
@@ -0,0 +1,112 @@
+const STORAGE_KEY = 'gamepadSettings';
+
+export const GAMEPAD_DEFAULTS = {
+    lookSensitivity: 3.0,  // Camera turn speed at full right stick tilt (rad/s)
+    moveDeadzone: 0.15,
+    lookDeadzone: 0.12,
+    invertY: false
+};
+
+const BUTTON_THRESHOLD = 0.5; // Analog triggers count as pressed past half way
+
+// Polls the Gamepad API and feeds the input layer: buttons become 'Pad<index>' codes
+// bound like keys, the sticks drive the move and look axes
+export class GamepadInput {
+    constructor(input) {
+        this.input = input;
+        this.settings = this.loadSettings();
+        this.pad = null;
+        this.buttons = [];  // Pressed state per button index from the last poll
+
+        this.input.addDevice(this);
+
+        window.addEventListener('gamepadconnected', (e) => console.log(`🎮 Gamepad connected: ${e.gamepad.id}`));
+        window.addEventListener('gamepaddisconnected', () => console.log('🎮 Gamepad disconnected'));
+    }
+
+    // Called once per fixed step, browsers only expose gamepad state by polling
+    poll() {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        this.pad = Array.from(pads).find(pad => pad && pad.connected && pad.mapping === 'standard')
+            ?? Array.from(pads).find(pad => pad && pad.connected)
+            ?? null;
+
+        if (!this.pad) {
+            this.releaseAll();
+            return;
+        }
+
+        this.pad.buttons.forEach((button, index) => {
+            const down = button.pressed || button.value > BUTTON_THRESHOLD;
+            const code = `Pad${index}`;
+            if (down && !this.buttons[index]) {
+                if (!this.input.captureCode(code)) this.input.press(code);
+            } else if (!down && this.buttons[index]) {
+                this.input.release(code);
+            }
+            this.buttons[index] = down;
+        });
+
+        const [lx = 0, ly = 0, rx = 0, ry = 0] = this.pad.axes;
+        const move = applyDeadzone(lx, ly, this.settings.moveDeadzone);
+        const look = applyDeadzone(rx, ry, this.settings.lookDeadzone);
+        this.input.setAxis('moveX', move.x, 'gamepad');
+        this.input.setAxis('moveY', move.y, 'gamepad');
+        this.input.setAxis('lookX', look.x, 'gamepad');
+        this.input.setAxis('lookY', this.settings.invertY ? -look.y : look.y, 'gamepad');
+    }
+
+    releaseAll() {
+        this.buttons.forEach((down, index) => {
+            if (down) this.input.release(`Pad${index}`);
+        });
+        this.buttons = [];
+        for (const axis of ['moveX', 'moveY', 'lookX', 'lookY']) this.input.setAxis(axis, 0, 'gamepad');
+    }
+
+    rumble(intensity, duration) {
+        const actuator = this.pad?.vibrationActuator;
+        if (!actuator) return;
+        actuator.playEffect('dual-rumble', {
+            duration,
+            strongMagnitude: intensity,
+            weakMagnitude: Math.min(1, intensity * 1.5)
+        }).catch(() => {}); // Rejected when another effect interrupts it
+    }
+
+    set(key, value) {
+        this.settings[key] = value;
+        this.saveSettings();
+    }
+
+    resetSettings() {
+        this.settings = { ...GAMEPAD_DEFAULTS };
+        this.saveSettings();
+    }
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            return { ...GAMEPAD_DEFAULTS, ...saved };
+        } catch (err) {
+            console.warn('⚠️ Could not load gamepad settings, using defaults', err);
+            return { ...GAMEPAD_DEFAULTS };
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (err) {
+            console.warn('⚠️ Could not save gamepad settings', err);
+        }
+    }
+}
+
+// Radial deadzone, rescaled so the stick still reaches the full range just past it
+function applyDeadzone(x, y, deadzone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= deadzone) return { x: 0, y: 0 };
+    const scale = (Math.min(1, magnitude) - deadzone) / (1 - deadzone) / magnitude;
+    return { x: x * scale, y: y * scale };
+}
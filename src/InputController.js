@@ -1,10 +1,45 @@
+// Named actions and their default bindings. Keyboard bindings are KeyboardEvent.code
+// values (layout independent), mouse buttons are 'Mouse0' (left), 'Mouse1', 'Mouse2',
+// gamepad buttons are 'Pad0'... in the standard gamepad mapping (Pad6/Pad7 = triggers).
+export const ACTIONS = {
+    moveForward: { label: 'Move forward', bindings: ['KeyW'] },
+    moveBackward: { label: 'Move backward', bindings: ['KeyS'] },
+    moveLeft: { label: 'Move left', bindings: ['KeyA'] },
+    moveRight: { label: 'Move right', bindings: ['KeyD'] },
+    jump: { label: 'Jump / release hooks', bindings: ['Space', 'Pad0'] },
+    sprint: { label: 'Sprint', bindings: ['ShiftLeft', 'ShiftRight', 'Pad10'] },
+    hookLeft: { label: 'Left hook', bindings: ['KeyE', 'Pad6'] },
+    hookRight: { label: 'Right hook', bindings: ['KeyQ', 'Pad7'] },
+    reelIn: { label: 'Reel in', bindings: ['KeyC', 'Pad4'] },
+    reelOut: { label: 'Reel out', bindings: ['KeyV', 'Pad13'] },
+    boost: { label: 'Gas boost', bindings: ['KeyR', 'Pad5'] },
+    attack: { label: 'Attack', bindings: ['Mouse0', 'Pad2'] },
+    reload: { label: 'Reload blades', bindings: ['KeyG', 'Pad1'] },
+    heal: { label: 'Heal (mana)', bindings: ['KeyF', 'Pad3'] },
+    gate: { label: 'Open / close gate', bindings: ['KeyX', 'Pad12'] },
+    settings: { label: 'Controls menu', bindings: ['KeyP', 'Pad9'] },
+    replay: { label: 'Replay panel', bindings: ['F8'] },
+    exportLevel: { label: 'Export level (JSON)', bindings: ['F9'] },
+    editor: { label: 'Level editor', bindings: ['F4'] }
+};
+
+// Actions that still work while gameplay input is disabled (e.g. menus are open)
+export const UI_ACTIONS = ['settings', 'replay', 'exportLevel', 'editor'];
+
+const STORAGE_KEY = 'inputBindings';
+
+// Single input layer: devices set raw button states, gameplay code only asks about actions
 export class InputController {
     constructor() {
-        this.keys = {
-            w: false, a: false, s: false, d: false, space: false,
-            q: false, e: false, r: false, shift: false
-        };
-        this.callbacks = {}; // Store event callbacks (e.g., 'attack', 'shootHook')
+        this.bindings = this.loadBindings();
+        this.held = new Set();   // Keyboard/mouse/gamepad codes currently pressed
+        this.virtual = {};       // action -> Set of other sources (touch...) holding it
+        this.axes = {};          // axis ('moveX', 'moveY', 'lookX', 'lookY') -> { source: value }
+        this.devices = [];       // Extra devices, may implement rumble(intensity, duration)
+        this.listeners = {};     // action -> [callback], fired on press
+        this.enabled = true;
+        this.captureCallback = null; // Rebinding: receives the next key/button instead of gameplay
+        this.playback = null;    // Replay: { held, axes } recorded for the current tick, overrides live devices
 
         this.init();
     }
@@ -13,60 +48,207 @@ export class InputController {
         window.addEventListener('keydown', (e) => this.onKeyDown(e));
         window.addEventListener('keyup', (e) => this.onKeyUp(e));
         window.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        window.addEventListener('mouseup', (e) => this.onMouseUp(e));
+        window.addEventListener('blur', () => this.held.clear()); // Keyups are lost while unfocused
     }
 
     onKeyDown(e) {
-        switch (e.key.toLowerCase()) {
-            case 'w': this.keys.w = true; break;
-            case 'a': this.keys.a = true; break;
-            case 's': this.keys.s = true; break;
-            case 'd': this.keys.d = true; break;
-            case ' ': this.keys.space = true; break;
-            case 'shift': this.keys.shift = true; break;
-            case 'q':
-                if (!this.keys.q) {
-                    this.keys.q = true;
-                    this.emit('shootHook', 'right'); // SWAPPED: Q -> Right
-                }
-                break;
-            case 'e':
-                if (!this.keys.e) {
-                    this.keys.e = true;
-                    this.emit('shootHook', 'left'); // SWAPPED: E -> Left
-                }
-                break;
-            case 'r': this.keys.r = true; break;
+        if (this.captureCode(e.code === 'Escape' ? null : e.code)) {
+            // The key was for the rebind, not for menus listening after us (Escape would close the controls menu)
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            return;
         }
+        if (e.repeat) return;
+        this.press(e.code);
     }
 
     onKeyUp(e) {
-        switch (e.key.toLowerCase()) {
-            case 'w': this.keys.w = false; break;
-            case 'a': this.keys.a = false; break;
-            case 's': this.keys.s = false; break;
-            case 'd': this.keys.d = false; break;
-            case ' ': this.keys.space = false; break;
-            case 'shift': this.keys.shift = false; break;
-            case 'q': this.keys.q = false; break;
-            case 'e': this.keys.e = false; break;
-            case 'r': this.keys.r = false; break;
-        }
+        this.release(e.code);
     }
 
     onMouseDown(e) {
+        const code = `Mouse${e.button}`;
+        if (this.captureCode(code)) return;
+        // Clicks only count as game input while the mouse is captured
         if (document.pointerLockElement !== document.body) return;
-        if (e.button === 0) {
-            this.emit('attack');
+        this.press(code);
+    }
+
+    onMouseUp(e) {
+        this.release(`Mouse${e.button}`);
+    }
+
+    release(code) {
+        this.held.delete(code);
+    }
+
+    press(code) {
+        this.held.add(code);
+        for (const action of this.actionsFor(code)) {
+            if (this.isLive(action)) this.emit(action);
         }
     }
 
-    on(event, callback) {
-        this.callbacks[event] = callback;
+    // Live devices only drive gameplay while it is enabled and no replay is playing
+    isLive(action) {
+        return UI_ACTIONS.includes(action) || (this.enabled && !this.playback);
+    }
+
+    actionsFor(code) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].includes(code));
     }
 
-    emit(event, data) {
-        if (this.callbacks[event]) {
-            this.callbacks[event](data);
+    // Analog input in [-1, 1] from devices like gamepad sticks, one value per source
+    setAxis(axis, value, source = 'virtual') {
+        (this.axes[axis] ||= {})[source] = value;
+    }
+
+    getAxis(axis) {
+        if (this.playback) return this.playback.axes[axis] ?? 0;
+        if (!this.enabled) return 0;
+        const values = Object.values(this.axes[axis] || {});
+        return Math.max(-1, Math.min(1, values.reduce((sum, value) => sum + value, 0)));
+    }
+
+    // Movement in [-1, 1] on x (right) and y (back): analog sticks keep their magnitude
+    // for proportional speed, the digital move actions count as full tilt
+    getMoveVector() {
+        const x = this.getAxis('moveX') + (this.isDown('moveRight') ? 1 : 0) - (this.isDown('moveLeft') ? 1 : 0);
+        const y = this.getAxis('moveY') + (this.isDown('moveBackward') ? 1 : 0) - (this.isDown('moveForward') ? 1 : 0);
+        const length = Math.hypot(x, y);
+        return length > 1 ? { x: x / length, y: y / length } : { x, y };
+    }
+
+    addDevice(device) {
+        this.devices.push(device);
+    }
+
+    // Force feedback on every device that supports it
+    rumble(intensity, duration) {
+        this.devices.forEach(device => device.rumble?.(intensity, duration));
+    }
+
+    // Lets other devices drive actions: each source holds or releases an action independently
+    setActionState(action, down, source = 'virtual') {
+        const sources = (this.virtual[action] ||= new Set());
+        const wasDown = this.isDown(action);
+        if (down) sources.add(source); else sources.delete(source);
+        if (down && !wasDown && this.isLive(action)) this.emit(action);
+    }
+
+    isDown(action) {
+        if (this.playback) return this.playback.held.includes(action);
+        if (!this.enabled) return false;
+        const bindings = this.bindings[action] || [];
+        return bindings.some(code => this.held.has(code)) || (this.virtual[action]?.size ?? 0) > 0;
+    }
+
+    // Subscribe to presses of an action, returns an unsubscribe function
+    on(action, callback) {
+        (this.listeners[action] ||= []).push(callback);
+        return () => this.off(action, callback);
+    }
+
+    off(action, callback) {
+        this.listeners[action] = (this.listeners[action] || []).filter(cb => cb !== callback);
+    }
+
+    emit(action, data) {
+        (this.listeners[action] || []).forEach(callback => callback(data));
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.held.clear();
+    }
+
+    // Rebinding
+
+    captureNext(callback) {
+        this.captureCallback = callback;
+    }
+
+    // Hands a pressed code to a pending rebind, returns false when nothing is waiting for one
+    captureCode(code) {
+        if (!this.captureCallback) return false;
+        this.finishCapture(code);
+        return true;
+    }
+
+    finishCapture(code) {
+        const callback = this.captureCallback;
+        this.captureCallback = null;
+        callback(code);
+    }
+
+    // Binds a code to an action, replacing `previous` if given; the code is taken away from any other action
+    bind(action, code, previous = null) {
+        for (const other of Object.keys(this.bindings)) {
+            this.bindings[other] = this.bindings[other].filter(c => c !== code);
+        }
+        const bindings = this.bindings[action];
+        const index = bindings.indexOf(previous);
+        if (index >= 0) bindings[index] = code; else bindings.push(code);
+        this.saveBindings();
+    }
+
+    unbind(action, code) {
+        this.bindings[action] = this.bindings[action].filter(c => c !== code);
+        this.saveBindings();
+    }
+
+    resetBindings() {
+        this.bindings = defaultBindings();
+        this.saveBindings();
+    }
+
+    loadBindings() {
+        const bindings = defaultBindings();
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            for (const action of Object.keys(bindings)) {
+                if (!Array.isArray(saved[action])) continue;
+                // Bindings saved before gamepad support keep the default pad buttons
+                const pad = saved[action].some(isPadCode) ? [] : bindings[action].filter(isPadCode);
+                bindings[action] = [...saved[action], ...pad];
+            }
+        } catch (err) {
+            console.warn('⚠️ Could not load key bindings, using defaults', err);
+        }
+        return bindings;
+    }
+
+    saveBindings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (err) {
+            console.warn('⚠️ Could not save key bindings', err);
         }
     }
 }
+
+export function isPadCode(code) {
+    return code.startsWith('Pad');
+}
+
+function defaultBindings() {
+    return Object.fromEntries(Object.entries(ACTIONS).map(([action, def]) => [action, [...def.bindings]]));
+}
+
+// Human readable name of a binding code ('KeyW' -> 'W', 'Mouse0' -> 'LMB')
+export function describeBinding(code) {
+    const names = {
+        Mouse0: 'LMB', Mouse1: 'MMB', Mouse2: 'RMB',
+        Space: 'Space', ShiftLeft: 'L Shift', ShiftRight: 'R Shift',
+        ControlLeft: 'L Ctrl', ControlRight: 'R Ctrl', AltLeft: 'L Alt', AltRight: 'R Alt',
+        ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→'
+    };
+    const padNames = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-Up', 'D-Down', 'D-Left', 'D-Right'];
+    if (names[code]) return names[code];
+    if (isPadCode(code)) return padNames[Number(code.slice(3))] ?? `Pad ${code.slice(3)}`;
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Mouse')) return `Mouse ${code.slice(5)}`;
+    return code;
+}
@@ -0,0 +1,236 @@
+import { ACTIONS, describeBinding, isPadCode } from './InputController.js';
+
+// Controls menu: lists every action with its bindings, click a binding then press a key to change it
+export class InputSettings {
+    constructor(input, gamepad = null) {
+        this.input = input;
+        this.gamepad = gamepad;
+        this.isOpen = false;
+
+        this.createUI();
+        this.input.on('settings', () => this.toggle());
+
+        // Registered after the input's own listener, which swallows the Escape that cancels a rebind
+        window.addEventListener('keydown', (e) => {
+            if (this.isOpen && e.code === 'Escape') this.close();
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) this.close(); else this.open();
+    }
+
+    open() {
+        this.isOpen = true;
+        this.input.setEnabled(false);
+        if (document.pointerLockElement) document.exitPointerLock();
+        this.render();
+        this.container.style.display = 'flex';
+    }
+
+    close() {
+        this.isOpen = false;
+        this.input.setEnabled(true);
+        this.container.style.display = 'none';
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.style.cssText = `
+            position: fixed;
+            inset: 0;
+            display: none;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.6);
+            font-family: 'Arial', sans-serif;
+            z-index: 100;
+        `;
+        // Keep clicks in the menu from grabbing the pointer for the game
+        this.container.addEventListener('click', (e) => e.stopPropagation());
+
+        this.panel = document.createElement('div');
+        this.panel.style.cssText = `
+            min-width: 420px;
+            max-height: 80vh;
+            overflow-y: auto;
+            padding: 20px;
+            background: #1c1c1c;
+            border: 2px solid #aaaaaa;
+            border-radius: 8px;
+            color: #ffffff;
+        `;
+        this.container.appendChild(this.panel);
+
+        document.body.appendChild(this.container);
+    }
+
+    render() {
+        this.panel.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.textContent = 'CONTROLS';
+        title.style.cssText = `
+            font-weight: bold;
+            font-size: 20px;
+            margin-bottom: 12px;
+            text-align: center;
+        `;
+        this.panel.appendChild(title);
+
+        for (const [action, def] of Object.entries(ACTIONS)) {
+            const row = document.createElement('div');
+            row.style.cssText = `
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 4px 0;
+                border-bottom: 1px solid #333;
+            `;
+
+            const label = document.createElement('span');
+            label.textContent = def.label;
+            row.appendChild(label);
+
+            const slots = document.createElement('span');
+            const bindings = this.input.bindings[action];
+            const keys = bindings.filter(code => !isPadCode(code));
+            // Two keyboard/mouse slots (primary and alternative) and one gamepad button
+            for (let slot = 0; slot < 2; slot++) {
+                slots.appendChild(this.createBindingButton(action, keys[slot]));
+            }
+            slots.appendChild(this.createBindingButton(action, bindings.find(isPadCode)));
+            row.appendChild(slots);
+
+            this.panel.appendChild(row);
+        }
+
+        if (this.gamepad) this.renderGamepadSettings();
+
+        const footer = document.createElement('div');
+        footer.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            margin-top: 14px;
+        `;
+        footer.appendChild(this.createButton('Reset to defaults', () => {
+            this.input.resetBindings();
+            this.gamepad?.resetSettings();
+            this.render();
+        }));
+        footer.appendChild(this.createButton('Close', () => this.close()));
+        this.panel.appendChild(footer);
+
+        const hint = document.createElement('div');
+        hint.textContent = 'Click a binding, then press a key, mouse or gamepad button (Esc cancels, right-click a binding to clear it)';
+        hint.style.cssText = `
+            margin-top: 10px;
+            font-size: 11px;
+            color: #999999;
+        `;
+        this.panel.appendChild(hint);
+    }
+
+    // Sticks are not rebindable, only their feel: camera speed, deadzones and look inversion
+    renderGamepadSettings() {
+        const header = document.createElement('div');
+        header.textContent = 'GAMEPAD';
+        header.style.cssText = `
+            font-weight: bold;
+            margin: 14px 0 6px;
+        `;
+        this.panel.appendChild(header);
+
+        const settings = this.gamepad.settings;
+        this.panel.appendChild(this.createSlider('Look sensitivity', 'lookSensitivity', 0.5, 8, 0.1, settings.lookSensitivity));
+        this.panel.appendChild(this.createSlider('Move deadzone', 'moveDeadzone', 0, 0.5, 0.01, settings.moveDeadzone));
+        this.panel.appendChild(this.createSlider('Look deadzone', 'lookDeadzone', 0, 0.5, 0.01, settings.lookDeadzone));
+
+        const row = this.createSettingRow('Invert look Y');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = settings.invertY;
+        checkbox.addEventListener('change', () => this.gamepad.set('invertY', checkbox.checked));
+        row.appendChild(checkbox);
+        this.panel.appendChild(row);
+    }
+
+    createSlider(text, key, min, max, step, value) {
+        const row = this.createSettingRow(text);
+        const valueLabel = document.createElement('span');
+        valueLabel.textContent = value.toFixed(2);
+        valueLabel.style.cssText = `
+            width: 40px;
+            margin-left: 6px;
+            text-align: right;
+        `;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        Object.assign(slider, { min, max, step, value });
+        slider.addEventListener('input', () => {
+            this.gamepad.set(key, Number(slider.value));
+            valueLabel.textContent = Number(slider.value).toFixed(2);
+        });
+
+        const control = document.createElement('span');
+        control.style.cssText = `
+            display: flex;
+            align-items: center;
+        `;
+        control.appendChild(slider);
+        control.appendChild(valueLabel);
+        row.appendChild(control);
+        return row;
+    }
+
+    createSettingRow(text) {
+        const row = document.createElement('div');
+        row.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 4px 0;
+        `;
+        const label = document.createElement('span');
+        label.textContent = text;
+        row.appendChild(label);
+        return row;
+    }
+
+    createBindingButton(action, code) {
+        const button = this.createButton(code ? describeBinding(code) : '—', () => {
+            button.textContent = '...';
+            this.input.captureNext((newCode) => {
+                if (newCode) this.input.bind(action, newCode, code);
+                this.render();
+            });
+        });
+        button.style.minWidth = '80px';
+        button.style.marginLeft = '6px';
+
+        button.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            if (code && !this.input.captureCallback) {
+                this.input.unbind(action, code);
+                this.render();
+            }
+        });
+        return button;
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.cssText = `
+            padding: 4px 10px;
+            background: #333333;
+            color: #ffffff;
+            border: 1px solid #777777;
+            border-radius: 4px;
+            cursor: pointer;
+        `;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
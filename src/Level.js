@@ -0,0 +1,217 @@
+// Level format (JSON), version 1. Distances in metres, angles in radians, y is up.
+// Model paths are relative to the site's base URL (the public/ folder).
+//
+// {
+//     "format": "aot-level",
+//     "version": 1,
+//     "name": "Grid city 42",                     optional
+//     "generator": { "seed": 42, ... },           optional, CityGenerator parameters the level came from
+//     "ground": { "radius": 700 },
+//     "walls": [{                                 concentric rings around the origin
+//         "name": "Wall Rose",
+//         "model": "wall.fbx",                    bays of the model are bent around the ring
+//         "radius": 230,
+//         "height": 50,
+//         "gates": [{ "angle": 0, "open": false, "health": 500 }]    each takes up one bay of the ring
+//     }],
+//     "models": {                                 optional, per building model settings
+//         "building.glb": { "collider": "box" }   "box" (default), "convex" or "trimesh", see BuildingColliders.js
+//     },
+//     "streets": [{ "from": [x, z], "to": [x, z], "width": 8 }],
+//     "buildings": [{
+//         "model": "building.glb",
+//         "position": [x, z],
+//         "rotation": 0,                          around y, local +x is the front
+//         "size": [width, height, depth],         the model is stretched to fill this box
+//         "stairs": true                          flight of steps up the front to the roof
+//     }],
+//     "resupply": [{ "building": 3 }, { "position": [x, y, z] }],   on a roof (by building index) or anywhere
+//     "spawn": { "player": [x, y, z] },
+//     "titans": {
+//         "spawnRadius": 300,                     waves come from a random side at this distance...
+//         "spawnPoints": [[x, z]],                ...or from one of these points when there are any
+//         "rallyPoint": [x, z]                    where titans march until they spot the player
+//     }
+// }
+
+import { assetUrl } from './Assets.js';
+
+export const LEVEL_FORMAT = 'aot-level';
+export const LEVEL_VERSION = 1;
+
+const BUILDING_MODEL = 'building.glb';
+const WALL_MODEL = 'wall.fbx';
+const LEGACY_WALL_RADIUS = 240; // Where the single wall of older level files stood
+const GROUND_MARGIN = 300;      // Ground beyond the outermost building or wall of a generated city, room for titans to gather
+
+export const COLLIDER_QUALITIES = ['box', 'convex', 'trimesh'];
+
+const LEVEL_DEFAULTS = {
+    ground: { radius: 700 },
+    walls: [],
+    models: {},
+    streets: [],
+    buildings: [],
+    resupply: [],
+    spawn: { player: [0, 10, 0] },
+    titans: { spawnRadius: 300, spawnPoints: [], rallyPoint: [0, 0] }
+};
+
+// Level for a CityGenerator layout, with resupply stations on the tallest, well spread roofs
+export function levelFromLayout(layout, { stations = 5, minSpacing = 60 } = {}) {
+    const buildings = layout.buildings.map(building => ({
+        model: BUILDING_MODEL,
+        position: [building.x, building.z],
+        rotation: building.rotation,
+        size: [building.width, building.height, building.depth],
+        stairs: true
+    }));
+
+    const resupply = [];
+    const byHeight = buildings.map((building, index) => index).sort((a, b) => buildings[b].size[1] - buildings[a].size[1]);
+    for (const index of byHeight) {
+        if (resupply.length >= stations) break;
+        const [x, z] = buildings[index].position;
+        const tooClose = resupply.some(({ building }) => {
+            const [ox, oz] = buildings[building].position;
+            return Math.hypot(ox - x, oz - z) < minSpacing;
+        });
+        if (!tooClose) resupply.push({ building: index });
+    }
+
+    const extent = layout.buildings.reduce(
+        (max, building) => Math.max(max, Math.hypot(building.x, building.z) + Math.hypot(building.width, building.depth) / 2),
+        layout.walls.reduce((max, wall) => Math.max(max, wall.radius), 0)
+    );
+
+    return normalizeLevel({
+        format: LEVEL_FORMAT,
+        version: LEVEL_VERSION,
+        name: `${layout.params.layout} city ${layout.params.seed}`,
+        generator: layout.params,
+        ground: { radius: Math.max(LEVEL_DEFAULTS.ground.radius, extent + GROUND_MARGIN) },
+        streets: layout.streets.map(street => ({
+            from: [street.from.x, street.from.z],
+            to: [street.to.x, street.to.z],
+            width: street.width
+        })),
+        buildings,
+        resupply,
+        walls: layout.walls.map(wall => ({
+            name: wall.name,
+            radius: wall.radius,
+            gates: wall.gates.map(angle => ({ angle }))
+        }))
+    });
+}
+
+// Checks a parsed level and fills in defaults; throws with a readable message when it is unusable
+export function normalizeLevel(data) {
+    if (!data || data.format !== LEVEL_FORMAT) throw new Error(`Not a level file (format must be "${LEVEL_FORMAT}")`);
+    if (data.version !== LEVEL_VERSION) throw new Error(`Unsupported level version ${data.version}`);
+
+    // A copy of the defaults per level: the editor and the city write into what they hold
+    const defaults = structuredClone(LEVEL_DEFAULTS);
+    const level = {
+        ...defaults,
+        ...data,
+        ground: { ...defaults.ground, ...data.ground },
+        spawn: { ...defaults.spawn, ...data.spawn },
+        titans: { ...defaults.titans, ...data.titans }
+    };
+
+    // Older files have a single "wall" (or null); it becomes one ring with a gate on every side
+    if (data.walls === undefined && data.wall !== undefined) {
+        level.walls = data.wall ? [{
+            name: 'Wall',
+            model: data.wall.model,
+            height: data.wall.height,
+            radius: LEGACY_WALL_RADIUS,
+            gates: [0, 1, 2, 3].map(i => ({ angle: i * Math.PI / 2 }))
+        }] : [];
+    }
+    delete level.wall;
+
+    level.walls = level.walls.map((wall, index) => {
+        if (!(wall.radius > 0) || !Array.isArray(wall.gates ?? [])) {
+            throw new Error(`Wall ${index} needs a radius and a list of gates`);
+        }
+        return {
+            name: `Wall ${index + 1}`,
+            model: WALL_MODEL,
+            height: 50,
+            ...wall,
+            gates: (wall.gates ?? []).map((gate, gateIndex) => {
+                if (!Number.isFinite(gate.angle)) throw new Error(`Gate ${gateIndex} of wall ${index} needs an angle`);
+                return { open: false, health: 500, ...gate };
+            })
+        };
+    });
+
+    for (const [model, settings] of Object.entries(level.models)) {
+        if (settings.collider !== undefined && !COLLIDER_QUALITIES.includes(settings.collider)) {
+            throw new Error(`Collider of ${model} must be one of ${COLLIDER_QUALITIES.join(', ')}`);
+        }
+    }
+
+    level.buildings = level.buildings.map((building, index) => {
+        if (!isVector(building.position, 2) || !isVector(building.size, 3)) {
+            throw new Error(`Building ${index} needs a position [x, z] and a size [width, height, depth]`);
+        }
+        return { model: BUILDING_MODEL, rotation: 0, stairs: true, ...building };
+    });
+    level.streets.forEach((street, index) => {
+        if (!isVector(street.from, 2) || !isVector(street.to, 2)) throw new Error(`Street ${index} needs from and to points [x, z]`);
+    });
+    level.resupply.forEach((station, index) => {
+        const onBuilding = Number.isInteger(station.building) && level.buildings[station.building];
+        if (!onBuilding && !isVector(station.position, 3)) {
+            throw new Error(`Resupply point ${index} needs a building index or a position [x, y, z]`);
+        }
+    });
+    if (!isVector(level.spawn.player, 3)) throw new Error('spawn.player must be [x, y, z]');
+
+    return level;
+}
+
+function isVector(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
+
+export async function loadLevel(path) {
+    const response = await fetch(assetUrl(path));
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    return normalizeLevel(await response.json());
+}
+
+// The city as it stands now: collapsed buildings and their stations are left out
+export function exportLevel(city) {
+    const standing = city.buildings.filter(building => !building.destroyed);
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    return {
+        format: LEVEL_FORMAT,
+        version: LEVEL_VERSION,
+        name: city.level.name,
+        generator: city.level.generator,
+        ground: city.level.ground,
+        walls: city.level.walls,
+        models: city.level.models,
+        streets: city.level.streets.map(street => ({
+            from: street.from.map(round),
+            to: street.to.map(round),
+            width: street.width
+        })),
+        buildings: standing.map(building => ({
+            ...building.config,
+            position: building.config.position.map(round),
+            rotation: round(building.config.rotation),
+            size: building.config.size.map(round)
+        })),
+        resupply: city.resupplyStations.map(station => station.building
+            ? { building: standing.indexOf(station.building) }
+            : { position: station.position.toArray().map(round) }),
+        spawn: city.level.spawn,
+        titans: city.level.titans
+    };
+}
@@ -0,0 +1,427 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { exportLevel, COLLIDER_QUALITIES } from './Level.js';
+import { downloadJSON } from './files.js';
+
+const MIN_BUILDING_SIZE = 2;
+const NEW_BUILDING_SIZE = [14, 15, 12];
+const PLAYER_SPAWN_HEIGHT = 1.5; // Above the ground or roof the spawn snaps to
+
+// Editor mode (F4): the simulation pauses, the camera orbits freely and buildings, the
+// player spawn and titan spawn points can be placed and moved with gizmos. Colliders are
+// rebuilt when a drag ends, and the result can be saved as a level file.
+export class LevelEditor {
+    constructor({ scene, camera, renderer, city, titanManager, input, loop, onChange = () => {} }) {
+        this.scene = scene;
+        this.camera = camera;
+        this.city = city;
+        this.titanManager = titanManager;
+        this.input = input;
+        this.loop = loop;
+        this.onChange = onChange; // Called after every edit to the level
+        this.active = false;
+        this.selection = null; // { type: 'building' | 'playerSpawn' | 'titanSpawn', object, building?, index? }
+        this.buildingHandle = new THREE.Object3D(); // Buildings are instanced, the gizmo moves this stand-in instead
+
+        this.orbit = new OrbitControls(camera, renderer.domElement);
+        this.orbit.enabled = false;
+
+        this.transform = new TransformControls(camera, renderer.domElement);
+        this.transform.setTranslationSnap(1);
+        this.transform.setRotationSnap(THREE.MathUtils.degToRad(15));
+        this.transform.addEventListener('dragging-changed', (e) => {
+            this.orbit.enabled = !e.value;
+            if (!e.value) this.applyTransform();
+        });
+        this.transform.addEventListener('objectChange', () => this.constrainTransform());
+
+        this.markers = new THREE.Group();
+        this.createUI();
+
+        // Selection by click, not by the end of an orbit drag
+        let downAt = null;
+        renderer.domElement.addEventListener('pointerdown', (e) => {
+            downAt = e.button === 0 ? { x: e.clientX, y: e.clientY } : null;
+        });
+        renderer.domElement.addEventListener('pointerup', (e) => {
+            if (!this.active || !downAt || this.transform.dragging) return;
+            if (Math.hypot(e.clientX - downAt.x, e.clientY - downAt.y) < 4) this.pick(e);
+        });
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
+
+        this.input.on('editor', () => this.toggle());
+    }
+
+    toggle() {
+        if (this.active) this.disable(); else this.enable();
+    }
+
+    enable() {
+        this.active = true;
+        this.loop.paused = true;
+        this.input.setEnabled(false);
+        if (document.pointerLockElement) document.exitPointerLock();
+
+        // Orbit around whatever the camera was looking at
+        const target = new THREE.Vector3();
+        this.camera.getWorldDirection(target);
+        this.orbit.target.copy(this.camera.position).addScaledVector(target, 10);
+        this.orbit.enabled = true;
+
+        this.scene.add(this.transform);
+        this.scene.add(this.markers);
+        this.scene.add(this.buildingHandle);
+        this.rebuildMarkers();
+        this.container.style.display = 'block';
+        this.updateUI();
+        console.log('🛠️ Level editor on');
+    }
+
+    disable() {
+        this.select(null);
+        this.active = false;
+        this.orbit.enabled = false;
+        this.scene.remove(this.transform);
+        this.scene.remove(this.markers);
+        this.scene.remove(this.buildingHandle);
+        this.container.style.display = 'none';
+        this.input.setEnabled(true);
+        this.loop.paused = false;
+        console.log('🛠️ Level editor off');
+    }
+
+    // Called every frame while active
+    update() {
+        this.orbit.update();
+    }
+
+    // Spawn markers: a blue pillar for the player, red ones for titan spawn points
+    rebuildMarkers() {
+        this.markers.clear();
+
+        const level = this.city.level;
+        this.playerMarker = createMarker(0x3388ff, 2);
+        this.playerMarker.position.fromArray(level.spawn.player);
+        this.markers.add(this.playerMarker);
+
+        this.titanMarkers = level.titans.spawnPoints.map(([x, z]) => {
+            const marker = createMarker(0xff3322, 8);
+            marker.position.set(x, 0, z);
+            this.markers.add(marker);
+            return marker;
+        });
+    }
+
+    pick(e) {
+        const pointer = new THREE.Vector2(
+            (e.clientX / window.innerWidth) * 2 - 1,
+            -(e.clientY / window.innerHeight) * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.camera);
+
+        const candidates = [
+            { type: 'playerSpawn', object: this.playerMarker },
+            ...this.titanMarkers.map((object, index) => ({ type: 'titanSpawn', object, index }))
+        ];
+        const hit = raycaster.intersectObjects(candidates.map(candidate => candidate.object), false)[0];
+        const buildingHit = this.city.buildingRenderer.pick(raycaster);
+        if (buildingHit && (!hit || buildingHit.distance < hit.distance)) {
+            this.selectBuilding(buildingHit.building);
+        } else {
+            this.select(candidates.find(candidate => candidate.object === hit?.object) ?? null);
+        }
+    }
+
+    // The gizmo's stand-in takes the building's transform, with the scale relative to the model
+    selectBuilding(building) {
+        building.matrix.decompose(this.buildingHandle.position, this.buildingHandle.quaternion, this.buildingHandle.scale);
+        this.select({ type: 'building', object: this.buildingHandle, building });
+    }
+
+    select(selection) {
+        this.selection = selection;
+        if (selection) {
+            this.transform.attach(selection.object);
+            this.setMode(this.transform.mode);
+        } else {
+            this.transform.detach();
+        }
+        this.updateUI();
+    }
+
+    // Spawn points only move, buildings also turn around y and stretch
+    setMode(mode) {
+        if (this.selection && this.selection.type !== 'building') mode = 'translate';
+        this.transform.setMode(mode);
+        this.transform.showX = mode !== 'rotate';
+        this.transform.showZ = mode !== 'rotate';
+        this.transform.showY = mode !== 'translate' || this.selection?.type === 'playerSpawn';
+        this.updateUI();
+    }
+
+    // Live while dragging: buildings and titan spawns stay on the ground, buildings only turn around y
+    constrainTransform() {
+        const selection = this.selection;
+        if (!selection || selection.type === 'playerSpawn') return;
+
+        const object = selection.object;
+        object.position.y = 0;
+        if (selection.type === 'building') {
+            object.rotation.set(0, object.rotation.y, 0);
+            const base = selection.building.baseSize;
+            object.scale.set(
+                Math.max(object.scale.x, MIN_BUILDING_SIZE / base.x),
+                Math.max(object.scale.y, MIN_BUILDING_SIZE / base.y),
+                Math.max(object.scale.z, MIN_BUILDING_SIZE / base.z)
+            );
+            object.updateMatrix();
+            this.city.buildingRenderer.preview(selection.building, object.matrix);
+        }
+    }
+
+    // After a drag: write the new transform back to the level and rebuild what depends on it
+    applyTransform() {
+        const selection = this.selection;
+        if (!selection) return;
+
+        const object = selection.object;
+        const level = this.city.level;
+        if (selection.type === 'building') {
+            const { building } = selection;
+            const base = building.baseSize;
+            building.config.position = [object.position.x, object.position.z];
+            building.config.rotation = object.rotation.y;
+            building.config.size = [object.scale.x * base.x, object.scale.y * base.y, object.scale.z * base.z];
+            this.city.rebuildBuilding(building);
+        } else if (selection.type === 'playerSpawn') {
+            object.position.y = this.groundHeight(object.position) + PLAYER_SPAWN_HEIGHT;
+            level.spawn.player = object.position.toArray();
+        } else {
+            level.titans.spawnPoints[selection.index] = [object.position.x, object.position.z];
+            this.syncTitanSpawns();
+        }
+        this.onChange();
+        this.updateUI();
+    }
+
+    // Roof height of the building under a point, or the ground. Uses the footprints rather than a
+    // ray cast: colliders rebuilt while the simulation is paused aren't in the query structures yet.
+    groundHeight(position) {
+        let height = 0;
+        for (const building of this.city.buildings) {
+            if (building.destroyed) continue;
+            for (const footprint of building.footprints) {
+                const dx = position.x - footprint.x;
+                const dz = position.z - footprint.z;
+                const u = Math.abs(dx * footprint.ux + dz * footprint.uz);
+                const v = Math.abs(-dx * footprint.uz + dz * footprint.ux);
+                if (u <= footprint.halfU && v <= footprint.halfV) height = Math.max(height, building.height);
+            }
+        }
+        return height;
+    }
+
+    syncTitanSpawns() {
+        this.titanManager.spawnPoints = this.city.level.titans.spawnPoints.map(([x, z]) => ({ x, z }));
+    }
+
+    addBuilding() {
+        const model = this.city.models.keys().next().value;
+        if (!model) {
+            console.warn('⚠️ No building model loaded yet');
+            return;
+        }
+        const building = this.city.addBuilding({
+            model,
+            position: [this.orbit.target.x, this.orbit.target.z],
+            rotation: 0,
+            size: [...NEW_BUILDING_SIZE],
+            stairs: true
+        });
+        this.city.emit('buildingsChanged');
+        this.onChange();
+        this.selectBuilding(building);
+    }
+
+    addTitanSpawn() {
+        const spawnPoints = this.city.level.titans.spawnPoints;
+        spawnPoints.push([this.orbit.target.x, this.orbit.target.z]);
+        this.syncTitanSpawns();
+        this.onChange();
+        this.rebuildMarkers();
+        const index = spawnPoints.length - 1;
+        this.select({ type: 'titanSpawn', object: this.titanMarkers[index], index });
+    }
+
+    deleteSelection() {
+        const selection = this.selection;
+        if (!selection || selection.type === 'playerSpawn') return;
+
+        this.select(null);
+        if (selection.type === 'building') {
+            this.city.removeBuilding(selection.building);
+        } else {
+            this.city.level.titans.spawnPoints.splice(selection.index, 1);
+            this.syncTitanSpawns();
+            this.rebuildMarkers();
+        }
+        this.onChange();
+    }
+
+    toggleStairs() {
+        if (this.selection?.type !== 'building') return;
+        const { building } = this.selection;
+        building.config.stairs = !building.config.stairs;
+        this.city.rebuildBuilding(building);
+        this.onChange();
+        this.updateUI();
+    }
+
+    // Collider quality is a per-model setting, so this changes every building sharing the model
+    cycleCollider() {
+        if (this.selection?.type !== 'building') return;
+        const model = this.selection.building.config.model;
+        const current = COLLIDER_QUALITIES.indexOf(this.city.colliderQuality(model));
+        this.city.setColliderQuality(model, COLLIDER_QUALITIES[(current + 1) % COLLIDER_QUALITIES.length]);
+        this.onChange();
+        this.updateUI();
+    }
+
+    save() {
+        const level = exportLevel(this.city);
+        downloadJSON(level, `${level.name ?? 'level'}.json`.replace(/\s+/g, '-'));
+    }
+
+    onKeyDown(e) {
+        if (!this.active || e.target.tagName === 'INPUT') return;
+        switch (e.code) {
+            case 'KeyW': this.setMode('translate'); break;
+            case 'KeyE': this.setMode('rotate'); break;
+            case 'KeyR': this.setMode('scale'); break;
+            case 'KeyT': this.toggleStairs(); break;
+            case 'Delete':
+            case 'Backspace': this.deleteSelection(); break;
+            case 'Escape': this.select(null); break;
+        }
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            width: 240px;
+            padding: 10px;
+            background: rgba(28, 28, 28, 0.85);
+            border: 2px solid #aaaaaa;
+            border-radius: 8px;
+            color: #ffffff;
+            font-family: 'Arial', sans-serif;
+            font-size: 12px;
+            display: none;
+            z-index: 100;
+        `;
+        this.container.addEventListener('click', (e) => e.stopPropagation());
+
+        const title = document.createElement('div');
+        title.textContent = 'LEVEL EDITOR';
+        title.style.cssText = `
+            font-weight: bold;
+            font-size: 14px;
+            margin-bottom: 8px;
+        `;
+        this.container.appendChild(title);
+
+        this.modeButtons = {};
+        const modes = document.createElement('div');
+        for (const [mode, label] of [['translate', 'Move [W]'], ['rotate', 'Rotate [E]'], ['scale', 'Scale [R]']]) {
+            this.modeButtons[mode] = this.createButton(label, () => this.setMode(mode));
+            modes.appendChild(this.modeButtons[mode]);
+        }
+        this.container.appendChild(modes);
+
+        this.selectionLabel = document.createElement('div');
+        this.selectionLabel.style.cssText = `
+            margin: 8px 0;
+            min-height: 30px;
+            color: #cccccc;
+            white-space: pre-line;
+        `;
+        this.container.appendChild(this.selectionLabel);
+
+        this.stairsButton = this.createButton('Stairs [T]', () => this.toggleStairs());
+        this.deleteButton = this.createButton('Delete [Del]', () => this.deleteSelection());
+        const selectionButtons = document.createElement('div');
+        this.colliderButton = this.createButton('', () => this.cycleCollider());
+        selectionButtons.appendChild(this.stairsButton);
+        selectionButtons.appendChild(this.colliderButton);
+        selectionButtons.appendChild(this.deleteButton);
+        this.container.appendChild(selectionButtons);
+
+        const addButtons = document.createElement('div');
+        addButtons.style.marginTop = '8px';
+        addButtons.appendChild(this.createButton('+ Building', () => this.addBuilding()));
+        addButtons.appendChild(this.createButton('+ Titan spawn', () => this.addTitanSpawn()));
+        this.container.appendChild(addButtons);
+
+        const footer = document.createElement('div');
+        footer.style.marginTop = '8px';
+        footer.appendChild(this.createButton('Save level', () => this.save()));
+        footer.appendChild(this.createButton('Exit [F4]', () => this.disable()));
+        this.container.appendChild(footer);
+
+        document.body.appendChild(this.container);
+    }
+
+    updateUI() {
+        if (!this.active) return;
+
+        for (const [mode, button] of Object.entries(this.modeButtons)) {
+            button.style.borderColor = this.transform.mode === mode ? '#ffffff' : '#777777';
+        }
+
+        const selection = this.selection;
+        let text = 'Click a building or spawn marker';
+        if (selection?.type === 'building') {
+            const [width, height, depth] = selection.building.config.size;
+            text = `Building ${width.toFixed(1)} x ${depth.toFixed(1)} m, ${height.toFixed(1)} m tall\nStairs: ${selection.building.config.stairs ? 'yes' : 'no'}`;
+        } else if (selection?.type === 'playerSpawn') {
+            text = 'Player spawn';
+        } else if (selection?.type === 'titanSpawn') {
+            text = `Titan spawn ${selection.index + 1}`;
+        }
+        this.selectionLabel.textContent = text;
+
+        const isBuilding = selection?.type === 'building';
+        this.stairsButton.style.display = isBuilding ? 'inline-block' : 'none';
+        this.colliderButton.style.display = isBuilding ? 'inline-block' : 'none';
+        if (isBuilding) this.colliderButton.textContent = `Collider: ${this.city.colliderQuality(selection.building.config.model)}`;
+        this.deleteButton.style.display = selection && selection.type !== 'playerSpawn' ? 'inline-block' : 'none';
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.cssText = `
+            margin: 2px;
+            padding: 4px 8px;
+            background: #333333;
+            color: #ffffff;
+            border: 1px solid #777777;
+            border-radius: 4px;
+            cursor: pointer;
+        `;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+function createMarker(color, height) {
+    const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.7 });
+    const marker = new THREE.Mesh(new THREE.CylinderGeometry(0.8, 0.8, height, 12), material);
+    marker.geometry.translate(0, height / 2, 0); // Origin at the base, so it sits on the ground
+    return marker;
+}
@@ -0,0 +1,104 @@
+// Full-screen cover shown while the game's assets load: a progress bar, and when a required file
+// can't be loaded, which files are missing with a button to try again.
+export class LoadingScreen {
+    constructor() {
+        this.container = document.createElement('div');
+        this.container.style.cssText = `
+            position: fixed;
+            inset: 0;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            background: #1c1c1c;
+            color: #ffffff;
+            font-family: 'Arial', sans-serif;
+            z-index: 1000;
+        `;
+
+        this.title = document.createElement('div');
+        this.title.textContent = 'Loading';
+        this.title.style.cssText = `
+            font-size: 24px;
+            font-weight: bold;
+            margin-bottom: 16px;
+        `;
+        this.container.appendChild(this.title);
+
+        this.barBg = document.createElement('div');
+        this.barBg.style.cssText = `
+            width: 320px;
+            height: 12px;
+            background: #333333;
+            border: 2px solid #aaaaaa;
+            border-radius: 6px;
+            overflow: hidden;
+        `;
+        this.bar = document.createElement('div');
+        this.bar.style.cssText = `
+            width: 0%;
+            height: 100%;
+            background: #4caf50;
+            transition: width 0.2s;
+        `;
+        this.barBg.appendChild(this.bar);
+        this.container.appendChild(this.barBg);
+
+        this.label = document.createElement('div');
+        this.label.style.cssText = `
+            margin-top: 8px;
+            font-size: 12px;
+            color: #aaaaaa;
+            white-space: pre-line;
+            text-align: center;
+        `;
+        this.container.appendChild(this.label);
+
+        this.retryButton = document.createElement('button');
+        this.retryButton.textContent = 'Retry';
+        this.retryButton.style.cssText = `
+            display: none;
+            margin-top: 16px;
+            padding: 6px 20px;
+            background: #444444;
+            color: #ffffff;
+            border: 1px solid #aaaaaa;
+            border-radius: 4px;
+            cursor: pointer;
+        `;
+        this.container.appendChild(this.retryButton);
+
+        document.body.appendChild(this.container);
+    }
+
+    setProgress(fraction, label = '') {
+        const percent = `${Math.round(fraction * 100)}%`;
+        this.bar.style.width = percent;
+        this.label.textContent = label ? `${label} ${percent}` : percent;
+    }
+
+    // Lists the files that failed; resolves when the player asks to try again
+    showError(failed) {
+        this.title.textContent = 'Could not load the game';
+        this.title.style.color = '#ff5555';
+        this.barBg.style.display = 'none';
+        this.label.textContent = failed
+            .map(({ path, error }) => `${path}: ${error?.response?.status === 404 ? 'file not found' : error?.message ?? error}`)
+            .join('\n');
+        this.retryButton.style.display = 'block';
+
+        return new Promise((resolve) => {
+            this.retryButton.onclick = () => {
+                this.title.textContent = 'Loading';
+                this.title.style.color = '';
+                this.barBg.style.display = 'block';
+                this.retryButton.style.display = 'none';
+                resolve();
+            };
+        });
+    }
+
+    hide() {
+        this.container.remove();
+    }
+}
@@ -0,0 +1,290 @@
+import * as THREE from 'three';
+
+const SQRT2 = Math.SQRT2;
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2]
+];
+
+// Ground navigation grid built from building footprints. Every cell stores its
+// distance to the nearest obstacle, so titans of any size can query the same grid
+// with their own body radius.
+export class NavGrid {
+    constructor({ extent = 360, cellSize = 4 } = {}) {
+        this.extent = extent;     // Grid covers [-extent, extent] on X and Z
+        this.cellSize = cellSize;
+        this.size = Math.ceil((extent * 2) / cellSize);
+
+        const count = this.size * this.size;
+        this.blocked = new Uint8Array(count);
+        this.clearance = new Float32Array(count).fill(Infinity); // Meters to the nearest blocked cell
+
+        // A* scratch buffers, reused between searches
+        this.gScore = new Float32Array(count);
+        this.cameFrom = new Int32Array(count);
+        this.visited = new Uint32Array(count);
+        this.closed = new Uint32Array(count);
+        this.searchId = 0;
+        this.version = 0; // Bumped on every rebuild so followers know to repath
+    }
+
+    // obstacles: rotated rectangles { x, z, ux, uz, halfU, halfV }
+    build(obstacles) {
+        this.blocked.fill(0);
+
+        for (const rect of obstacles) {
+            // Bounding box of the rotated rectangle
+            const ex = Math.abs(rect.ux) * rect.halfU + Math.abs(rect.uz) * rect.halfV;
+            const ez = Math.abs(rect.uz) * rect.halfU + Math.abs(rect.ux) * rect.halfV;
+            const [minX, minZ] = this.toCell(rect.x - ex, rect.z - ez);
+            const [maxX, maxZ] = this.toCell(rect.x + ex, rect.z + ez);
+
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                for (let cx = minX; cx <= maxX; cx++) {
+                    const p = this.toWorld(cx, cz);
+                    const dx = p.x - rect.x;
+                    const dz = p.z - rect.z;
+                    const u = Math.abs(dx * rect.ux + dz * rect.uz);
+                    const v = Math.abs(-dx * rect.uz + dz * rect.ux);
+                    const pad = this.cellSize * 0.5;
+                    if (u <= rect.halfU + pad && v <= rect.halfV + pad) {
+                        this.blocked[this.index(cx, cz)] = 1;
+                    }
+                }
+            }
+        }
+
+        this.computeClearance();
+        this.version++;
+    }
+
+    // Breadth-first distance transform from every blocked cell
+    computeClearance() {
+        const count = this.size * this.size;
+        const steps = new Int32Array(count).fill(-1);
+        const queue = new Int32Array(count);
+        let head = 0;
+        let tail = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (this.blocked[i]) {
+                steps[i] = 0;
+                queue[tail++] = i;
+            }
+        }
+
+        while (head < tail) {
+            const i = queue[head++];
+            const cx = i % this.size;
+            const cz = (i - cx) / this.size;
+            for (const [ox, oz] of NEIGHBOURS) {
+                const nx = cx + ox;
+                const nz = cz + oz;
+                if (!this.inBounds(nx, nz)) continue;
+                const n = this.index(nx, nz);
+                if (steps[n] !== -1) continue;
+                steps[n] = steps[i] + 1;
+                queue[tail++] = n;
+            }
+        }
+
+        for (let i = 0; i < count; i++) {
+            this.clearance[i] = steps[i] === -1 ? Infinity : steps[i] * this.cellSize - this.cellSize * 0.5;
+        }
+    }
+
+    toCell(x, z) {
+        const cx = Math.floor((x + this.extent) / this.cellSize);
+        const cz = Math.floor((z + this.extent) / this.cellSize);
+        return [
+            Math.min(this.size - 1, Math.max(0, cx)),
+            Math.min(this.size - 1, Math.max(0, cz))
+        ];
+    }
+
+    toWorld(cx, cz) {
+        return new THREE.Vector3(
+            (cx + 0.5) * this.cellSize - this.extent,
+            0,
+            (cz + 0.5) * this.cellSize - this.extent
+        );
+    }
+
+    index(cx, cz) {
+        return cz * this.size + cx;
+    }
+
+    inBounds(cx, cz) {
+        return cx >= 0 && cz >= 0 && cx < this.size && cz < this.size;
+    }
+
+    isWalkable(i, radius) {
+        return !this.blocked[i] && this.clearance[i] >= radius;
+    }
+
+    // Closest walkable cell to a (possibly blocked) cell, searching outward ring by ring
+    nearestWalkable(cx, cz, radius) {
+        if (this.isWalkable(this.index(cx, cz), radius)) return [cx, cz];
+
+        const maxRing = 20;
+        for (let ring = 1; ring <= maxRing; ring++) {
+            for (let oz = -ring; oz <= ring; oz++) {
+                for (let ox = -ring; ox <= ring; ox++) {
+                    if (Math.abs(ox) !== ring && Math.abs(oz) !== ring) continue;
+                    const nx = cx + ox;
+                    const nz = cz + oz;
+                    if (this.inBounds(nx, nz) && this.isWalkable(this.index(nx, nz), radius)) return [nx, nz];
+                }
+            }
+        }
+        return null;
+    }
+
+    // A* over the grid. Returns world-space waypoints (excluding the start) or null.
+    findPath(start, goal, radius = 0) {
+        const startCell = this.nearestWalkable(...this.toCell(start.x, start.z), radius);
+        const goalCell = this.nearestWalkable(...this.toCell(goal.x, goal.z), radius);
+        if (!startCell || !goalCell) return null;
+
+        const startIdx = this.index(...startCell);
+        const goalIdx = this.index(...goalCell);
+        const [gx, gz] = goalCell;
+
+        const id = ++this.searchId;
+        const heuristic = (cx, cz) => {
+            const dx = Math.abs(cx - gx);
+            const dz = Math.abs(cz - gz);
+            return (dx + dz + (SQRT2 - 2) * Math.min(dx, dz)) * this.cellSize; // Octile distance
+        };
+
+        const open = new MinHeap();
+        this.visited[startIdx] = id;
+        this.gScore[startIdx] = 0;
+        this.cameFrom[startIdx] = -1;
+        open.push(startIdx, heuristic(...startCell));
+
+        let found = false;
+        while (open.size > 0) {
+            const i = open.pop();
+            if (this.closed[i] === id) continue;
+            this.closed[i] = id;
+            if (i === goalIdx) {
+                found = true;
+                break;
+            }
+
+            const cx = i % this.size;
+            const cz = (i - cx) / this.size;
+            for (const [ox, oz, cost] of NEIGHBOURS) {
+                const nx = cx + ox;
+                const nz = cz + oz;
+                if (!this.inBounds(nx, nz)) continue;
+                const n = this.index(nx, nz);
+                if (this.closed[n] === id || !this.isWalkable(n, radius)) continue;
+
+                // No corner cutting past blocked cells
+                if (ox !== 0 && oz !== 0 &&
+                    (!this.isWalkable(this.index(cx + ox, cz), radius) || !this.isWalkable(this.index(cx, cz + oz), radius))) continue;
+
+                const g = this.gScore[i] + cost * this.cellSize;
+                if (this.visited[n] !== id || g < this.gScore[n]) {
+                    this.visited[n] = id;
+                    this.gScore[n] = g;
+                    this.cameFrom[n] = i;
+                    open.push(n, g + heuristic(nx, nz));
+                }
+            }
+        }
+
+        if (!found) return null;
+
+        const cells = [];
+        for (let i = goalIdx; i !== -1; i = this.cameFrom[i]) cells.push(i);
+        cells.reverse();
+
+        return this.smooth(cells, radius).map(i => this.toWorld(i % this.size, Math.floor(i / this.size)));
+    }
+
+    // String-pulling: drop every cell that can be skipped with a straight walk
+    smooth(cells, radius) {
+        if (cells.length <= 2) return cells.slice(1);
+
+        const result = [];
+        let anchor = 0;
+        while (anchor < cells.length - 1) {
+            let next = cells.length - 1;
+            while (next > anchor + 1 && !this.hasLineOfSight(cells[anchor], cells[next], radius)) next--;
+            result.push(cells[next]);
+            anchor = next;
+        }
+        return result;
+    }
+
+    hasLineOfSight(fromIdx, toIdx, radius) {
+        const ax = fromIdx % this.size;
+        const az = Math.floor(fromIdx / this.size);
+        const bx = toIdx % this.size;
+        const bz = Math.floor(toIdx / this.size);
+        const steps = Math.ceil(Math.max(Math.abs(bx - ax), Math.abs(bz - az)) * 2);
+
+        for (let s = 1; s < steps; s++) {
+            const t = s / steps;
+            const cx = Math.round(ax + (bx - ax) * t);
+            const cz = Math.round(az + (bz - az) * t);
+            if (!this.isWalkable(this.index(cx, cz), radius)) return false;
+        }
+        return true;
+    }
+}
+
+// Binary heap keyed by priority, used as the A* open list
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        this.items.push(item);
+        this.priorities.push(priority);
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[i]) break;
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+            let i = 0;
+            const n = this.items.length;
+            while (true) {
+                const l = i * 2 + 1;
+                const r = l + 1;
+                let smallest = i;
+                if (l < n && this.priorities[l] < this.priorities[smallest]) smallest = l;
+                if (r < n && this.priorities[r] < this.priorities[smallest]) smallest = r;
+                if (smallest === i) break;
+                this.swap(i, smallest);
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
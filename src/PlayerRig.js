@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+
+const MAX_TILT = 0.8;      // Furthest the body leans into a rope, or away from a wall (rad)
+const TILT_RATE = 8;       // How quickly the lean follows (1/s)
+const LIMB_RATE = 10;      // How quickly arm and foot IK blend in and out (1/s)
+const MAX_STEP = 0.5;      // Feet reach at most this far up or down to the surface under them (m)
+const LAND_CROUCH = 0.35;  // How deep a landing sinks the hips (m)
+
+const AIRBORNE = ['Swing', 'Fall', 'WallRun'];
+
+// Free hands are held out for balance in the air, in the mesh's frame (the model faces +z)
+const BALANCE = { left: new THREE.Vector3(0.8, -0.2, 0.2), right: new THREE.Vector3(-0.8, -0.2, 0.2) };
+
+const UP = new THREE.Vector3(0, 1, 0);
+const FORWARD = new THREE.Vector3(0, 0, 1);
+const RIGHT = new THREE.Vector3(1, 0, 0);
+
+// Bone names as the usual rigs (Mixamo, Blender) spell them, matched on the end of the name
+const BONES = {
+    leftArm: /(LeftArm|UpperArm_L|upper_arm\.L)$/,
+    leftForeArm: /(LeftForeArm|ForeArm_L|forearm\.L)$/,
+    leftHand: /(LeftHand|Hand_L|hand\.L)$/,
+    rightArm: /(RightArm|UpperArm_R|upper_arm\.R)$/,
+    rightForeArm: /(RightForeArm|ForeArm_R|forearm\.R)$/,
+    rightHand: /(RightHand|Hand_R|hand\.R)$/,
+    leftUpLeg: /(LeftUpLeg|Thigh_L|thigh\.L)$/,
+    leftLeg: /(LeftLeg|Shin_L|shin\.L)$/,
+    leftFoot: /(LeftFoot|Foot_L|foot\.L)$/,
+    rightUpLeg: /(RightUpLeg|Thigh_R|thigh\.R)$/,
+    rightLeg: /(RightLeg|Shin_R|shin\.R)$/,
+    rightFoot: /(RightFoot|Foot_R|foot\.R)$/
+};
+
+// Procedural layer over the player's animation: leans the body into the rope, away from walls and
+// through spins, vaults and landings, aims the hands at the hook anchors and plants the feet on
+// uneven ground. The pivot sits between the player's mesh and the model, at the body's centre.
+//
+// Per fixed step: restore() before the mixer runs, capture() after it, then update() with the
+// movement state. Per frame, once the mesh is placed: apply().
+export class PlayerRig {
+    constructor(model, pivot) {
+        this.pivot = pivot;
+        this.bones = {};
+        model.traverse((child) => {
+            if (!child.isBone) return;
+            for (const [key, pattern] of Object.entries(BONES)) {
+                if (!this.bones[key] && pattern.test(child.name)) this.bones[key] = child;
+            }
+        });
+        this.arms = ['left', 'right']
+            .map(side => ({ side, chain: [`${side}Arm`, `${side}ForeArm`, `${side}Hand`].map(key => this.bones[key]) }))
+            .filter(arm => arm.chain.every(Boolean));
+        this.legs = ['left', 'right']
+            .map(side => ({ side, chain: [`${side}UpLeg`, `${side}Leg`, `${side}Foot`].map(key => this.bones[key]) }))
+            .filter(leg => leg.chain.every(Boolean));
+        this.posed = [...this.arms, ...this.legs].flatMap(limb => limb.chain.slice(0, 2));
+        this.pose = this.posed.map(bone => bone.quaternion.clone());
+
+        this.tilt = new THREE.Quaternion();     // Smoothed lean, in the mesh's frame
+        this.turn = new THREE.Quaternion();     // Spin or vault flip on top of the lean
+        this.crouch = 0;
+        this.handWeight = { left: 0, right: 0 };
+        this.handTarget = { left: new THREE.Vector3(), right: new THREE.Vector3() };
+        this.handLocal = { left: false, right: false }; // Target in the mesh's frame rather than the world's
+        this.footWeight = 0;
+    }
+
+    // Undoes last frame's IK so the mixer (or a frame without one) starts from the animated pose
+    restore() {
+        this.posed.forEach((bone, i) => bone.quaternion.copy(this.pose[i]));
+    }
+
+    capture() {
+        this.posed.forEach((bone, i) => this.pose[i].copy(bone.quaternion));
+    }
+
+    // Once per fixed step. `facing` is the mesh's rotation, the vectors are world space:
+    // pull is the summed direction of the attached ropes, wallNormal points off a wall being run along.
+    update(dt, { state, oneShot, progress, facing, velocity, pull, wallNormal, hands }) {
+        const toLocal = facing.clone().invert();
+        let lean = UP;
+        if (state === 'Swing' && pull) {
+            lean = pull.clone().applyQuaternion(toLocal).normalize().lerp(UP, 0.5).normalize();
+        } else if (state === 'WallRun' && wallNormal) {
+            lean = wallNormal.clone().applyQuaternion(toLocal).setY(0).normalize().add(UP).normalize();
+        } else if (state === 'Fall') {
+            const drift = velocity.clone().applyQuaternion(toLocal).setY(0).multiplyScalar(0.03);
+            lean = drift.add(UP).normalize();
+        }
+        const target = new THREE.Quaternion().setFromUnitVectors(UP, lean);
+        const angle = 2 * Math.acos(Math.min(1, Math.abs(target.w)));
+        if (angle > MAX_TILT) target.slerp(new THREE.Quaternion(), 1 - MAX_TILT / angle);
+        this.tilt.slerp(target, 1 - Math.exp(-TILT_RATE * dt));
+
+        // Spins turn twice around the direction of travel, vaults flip forward, landings sink the hips
+        const eased = progress * progress * (3 - 2 * progress);
+        if (oneShot === 'Spin') this.turn.setFromAxisAngle(FORWARD, 4 * Math.PI * eased);
+        else if (oneShot === 'Vault') this.turn.setFromAxisAngle(RIGHT, 2 * Math.PI * eased);
+        else this.turn.identity();
+        this.crouch = oneShot === 'Land' ? LAND_CROUCH * Math.sin(Math.PI * progress) : 0;
+
+        // Hands follow their hooks or balance in the air, and keep their last target while they let go
+        const blend = 1 - Math.exp(-LIMB_RATE * dt);
+        for (const side of ['left', 'right']) {
+            const balancing = !hands[side] && AIRBORNE.includes(state);
+            if (hands[side]) this.handTarget[side].copy(hands[side]);
+            else if (balancing) this.handTarget[side].copy(BALANCE[side]);
+            if (hands[side] || balancing) this.handLocal[side] = balancing;
+            this.handWeight[side] += ((hands[side] || balancing ? 1 : 0) - this.handWeight[side]) * blend;
+        }
+        const planted = ['Idle', 'Walk', 'Run'].includes(state) && (!oneShot || oneShot === 'Attack');
+        this.footWeight += ((planted ? 1 : 0) - this.footWeight) * blend;
+    }
+
+    // Once per frame after the mesh was placed. groundHeight(x, z, fromY) is the surface below a point, or null.
+    apply(groundHeight) {
+        this.restore();
+        this.pivot.quaternion.copy(this.tilt).multiply(this.turn);
+        this.pivot.position.set(0, -this.crouch, 0);
+        this.pivot.updateMatrixWorld(true);
+
+        const pivotRotation = this.pivot.getWorldQuaternion(new THREE.Quaternion());
+        for (const arm of this.arms) {
+            if (this.handWeight[arm.side] < 0.01) continue;
+            const target = this.handTarget[arm.side].clone();
+            if (this.handLocal[arm.side]) this.pivot.parent.localToWorld(target);
+            const elbowPole = new THREE.Vector3(0, -1, -0.5).applyQuaternion(pivotRotation);
+            solveTwoBone(arm.chain, target, elbowPole, this.handWeight[arm.side]);
+        }
+
+        if (this.footWeight > 0.01 && this.legs.length) this.plantFeet(groundHeight, pivotRotation);
+    }
+
+    // Each foot reaches for the surface under it relative to the surface under the body, the hips
+    // drop so the lower foot can reach a step further down
+    plantFeet(groundHeight, pivotRotation) {
+        const centre = this.pivot.getWorldPosition(new THREE.Vector3());
+        const base = groundHeight(centre.x, centre.z, centre.y);
+        if (base === null) return;
+
+        const feet = this.legs.map((leg) => {
+            const foot = leg.chain[2].getWorldPosition(new THREE.Vector3());
+            const surface = groundHeight(foot.x, foot.z, centre.y);
+            const offset = surface === null ? 0 : THREE.MathUtils.clamp(surface - base, -MAX_STEP, MAX_STEP);
+            return { leg, foot, offset: offset * this.footWeight };
+        });
+        const drop = Math.max(0, -Math.min(...feet.map(({ offset }) => offset)));
+        if (drop > 0) {
+            this.pivot.position.y -= drop;
+            this.pivot.updateMatrixWorld(true);
+        }
+
+        const kneePole = FORWARD.clone().applyQuaternion(pivotRotation);
+        for (const { leg, foot, offset } of feet) {
+            if (Math.abs(offset) < 0.01 && drop === 0) continue;
+            solveTwoBone(leg.chain, foot.clone().setY(foot.y + offset), kneePole, 1);
+        }
+    }
+}
+
+// Analytic two-bone IK: bends the chain (upper, lower, end) in the plane of the pole so the end
+// reaches the target, or points at it when out of reach. Weight blends from the current pose.
+function solveTwoBone([upper, lower, end], target, pole, weight) {
+    const startUpper = upper.quaternion.clone();
+    const startLower = lower.quaternion.clone();
+
+    const a = upper.getWorldPosition(new THREE.Vector3());
+    const b = lower.getWorldPosition(new THREE.Vector3());
+    const c = end.getWorldPosition(new THREE.Vector3());
+    const upperLength = a.distanceTo(b);
+    const lowerLength = b.distanceTo(c);
+    const toTarget = target.clone().sub(a);
+    const reach = THREE.MathUtils.clamp(toTarget.length(),
+        Math.abs(upperLength - lowerLength) + 1e-4, upperLength + lowerLength - 1e-4);
+    const dir = toTarget.normalize();
+
+    const bend = pole.clone().addScaledVector(dir, -pole.dot(dir));
+    if (bend.lengthSq() < 1e-8) return;
+    bend.normalize();
+    const cosUpper = (upperLength ** 2 + reach ** 2 - lowerLength ** 2) / (2 * upperLength * reach);
+    const angle = Math.acos(THREE.MathUtils.clamp(cosUpper, -1, 1));
+    const joint = a.clone()
+        .addScaledVector(dir, Math.cos(angle) * upperLength)
+        .addScaledVector(bend, Math.sin(angle) * upperLength);
+
+    rotateToward(upper, b.sub(a), joint.clone().sub(a));
+    const jointNow = lower.getWorldPosition(new THREE.Vector3());
+    const endNow = end.getWorldPosition(new THREE.Vector3());
+    rotateToward(lower, endNow.sub(jointNow), a.addScaledVector(dir, reach).sub(jointNow));
+
+    if (weight < 1) {
+        upper.quaternion.slerpQuaternions(startUpper, upper.quaternion.clone(), weight);
+        lower.quaternion.slerpQuaternions(startLower, lower.quaternion.clone(), weight);
+        upper.updateMatrixWorld(true);
+    }
+}
+
+// Turns a bone so a world direction `from` (taken in its current pose) points along `to`
+function rotateToward(bone, from, to) {
+    const delta = new THREE.Quaternion().setFromUnitVectors(from.normalize(), to.normalize());
+    const parent = bone.parent.getWorldQuaternion(new THREE.Quaternion());
+    const world = parent.clone().multiply(bone.quaternion);
+    bone.quaternion.copy(parent.invert().multiply(delta.multiply(world)));
+    bone.updateMatrixWorld(true);
+}
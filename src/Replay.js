@@ -0,0 +1,222 @@
+import { ACTIONS, UI_ACTIONS } from './InputController.js';
+import { downloadJSON } from './files.js';
+
+export const REPLAY_VERSION = 2;
+
+const PENDING_KEY = 'pendingReplay'; // IndexedDB holds the replay to start after the page reloads, sessionStorage marks this tab
+const DB_NAME = 'replays';
+const STORE = 'pending';
+const CHECK_INTERVAL = 60;           // Ticks between recorded player positions, to spot desyncs
+
+const GAMEPLAY_ACTIONS = Object.keys(ACTIONS).filter(action => !UI_ACTIONS.includes(action));
+const TRACKED = ['h', 'm', 'c']; // Held actions, move axes and camera angles, stored when they change
+
+// Records everything the simulation reads from the player each fixed step: held actions,
+// move axes, action presses and the camera angles. Together with the random seed and the
+// level that is enough to run the same session again.
+//
+// Only changes are kept: `changes` is a list of { t: tick, h, m, c, p } where h, m and c hold
+// from tick t until the next change that has them, and p are the presses on tick t.
+export class ReplayRecorder {
+    constructor(input, { seed, level, timestep, getView }) {
+        this.input = input;
+        this.seed = seed;
+        this.level = level;
+        this.timestep = timestep;
+        this.getView = getView; // () => [angleX, angleY, distance] of the camera orbit
+        this.ticks = 0;
+        this.changes = [];
+        this.last = {};         // Latest recorded value of each tracked input
+        this.checks = [];       // [tick, x, y, z] player positions
+        this.pending = [];      // Presses since the last tick
+        this.stopReason = null; // Set once recording stopped early, the replay then ends there
+
+        for (const action of GAMEPLAY_ACTIONS) {
+            input.on(action, () => {
+                if (!this.stopReason) this.pending.push(action);
+            });
+        }
+    }
+
+    get tick() {
+        return this.ticks;
+    }
+
+    // Ends the recording at the current tick, for sessions that stop being replayable (level edits)
+    stop(reason) {
+        if (this.stopReason) return;
+        this.stopReason = reason;
+        this.pending = [];
+        console.log(`⏹️ Recording stopped at tick ${this.ticks}: ${reason}`);
+    }
+
+    // Call at the start of every fixed step, before anything reads input
+    capture() {
+        if (this.stopReason) return;
+        const current = {
+            h: GAMEPLAY_ACTIONS.filter(action => this.input.isDown(action)),
+            m: [this.input.getAxis('moveX'), this.input.getAxis('moveY')],
+            c: this.getView()
+        };
+        const change = { t: this.ticks };
+        for (const key of TRACKED) {
+            if (sameValues(current[key], this.last[key])) continue;
+            change[key] = current[key];
+            this.last[key] = current[key];
+        }
+        if (this.pending.length) change.p = this.pending;
+        if (Object.keys(change).length > 1) this.changes.push(change);
+
+        this.ticks++;
+        this.pending = [];
+    }
+
+    // Call after the step so a replay can tell when it stops matching
+    checkpoint(position) {
+        if (this.stopReason) return;
+        if (this.tick % CHECK_INTERVAL === 0) this.checks.push([this.tick, position.x, position.y, position.z]);
+    }
+
+    toJSON() {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            level: this.level,
+            timestep: this.timestep,
+            ticks: this.ticks,
+            changes: this.changes,
+            checks: this.checks
+        };
+    }
+}
+
+function sameValues(a, b) {
+    return Boolean(a && b) && a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+// Feeds a recording back through the input layer one tick at a time. Live devices are
+// ignored while it plays (InputController.playback).
+export class ReplayPlayer {
+    constructor(input, replay, { applyView }) {
+        this.input = input;
+        this.replay = replay;
+        this.applyView = applyView; // (angles) => turns the camera the way it was on that tick
+        this.tick = 0;
+        this.nextChange = 0;        // Index of the first change not applied yet
+        this.current = { h: [], m: [0, 0], c: null };
+        this.seekTarget = null;
+        this.checks = new Map(replay.checks.map(([tick, x, y, z]) => [tick, { x, y, z }]));
+        this.desyncTick = null;
+    }
+
+    get length() {
+        return this.replay.ticks;
+    }
+
+    get isFinished() {
+        return this.tick >= this.length;
+    }
+
+    get isSeeking() {
+        return this.seekTarget !== null && this.tick < this.seekTarget;
+    }
+
+    // Call at the start of the fixed step, in place of live input
+    next() {
+        const candidate = this.replay.changes[this.nextChange];
+        const change = candidate?.t === this.tick ? candidate : null;
+        if (change) {
+            this.nextChange++;
+            TRACKED.forEach((key) => {
+                if (change[key]) this.current[key] = change[key];
+            });
+        }
+        this.tick++;
+
+        const { h, m, c } = this.current;
+        this.input.playback = { held: h, axes: { moveX: m[0], moveY: m[1] } };
+        if (c) this.applyView(c);
+        (change?.p || []).forEach(action => this.input.emit(action));
+    }
+
+    // Only forward seeks are possible in place, the simulation can't run backwards
+    seek(tick) {
+        this.seekTarget = Math.min(tick, this.length);
+    }
+
+    verify(position) {
+        const expected = this.checks.get(this.tick);
+        if (!expected || this.desyncTick !== null) return;
+        if (expected.x !== position.x || expected.y !== position.y || expected.z !== position.z) {
+            this.desyncTick = this.tick;
+            console.warn(`⚠️ Replay diverged from the recording at tick ${this.tick}`);
+        }
+    }
+}
+
+export function parseReplay(text) {
+    const replay = JSON.parse(text);
+    if (replay.version !== REPLAY_VERSION || !Array.isArray(replay.changes)) {
+        throw new Error('Not a replay file (or from an incompatible version)');
+    }
+    return replay;
+}
+
+export function downloadReplay(replay) {
+    downloadJSON(replay, `replay-${replay.seed}-${replay.ticks}.json`);
+}
+
+// Replays need a freshly generated world, so starting one (or seeking backwards) reloads the page.
+// Long sessions don't fit sessionStorage, so the replay waits in IndexedDB.
+export async function playReplay(replay, startTick = 0) {
+    try {
+        await withStore('readwrite', store => store.put({ replay, startTick }, PENDING_KEY));
+        sessionStorage.setItem(PENDING_KEY, '1');
+    } catch (err) {
+        console.error('❌ Could not store the replay to start', err);
+        return;
+    }
+    location.reload();
+}
+
+export async function loadPendingReplay() {
+    if (!sessionStorage.getItem(PENDING_KEY)) return null; // Started in another tab, or before it was closed
+    try {
+        return await withStore('readonly', store => store.get(PENDING_KEY)) ?? null;
+    } catch (err) {
+        console.warn('⚠️ Could not load the pending replay', err);
+        return null;
+    }
+}
+
+export async function exitReplay() {
+    sessionStorage.removeItem(PENDING_KEY);
+    try {
+        await withStore('readwrite', store => store.delete(PENDING_KEY));
+    } catch (err) {
+        console.warn('⚠️ Could not clear the pending replay', err);
+    }
+    location.reload();
+}
+
+// Runs one request on the replay store, resolving with its result once the transaction completes
+function withStore(mode, request) {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(DB_NAME, 1);
+        open.onupgradeneeded = () => open.result.createObjectStore(STORE);
+        open.onerror = () => reject(open.error);
+        open.onsuccess = () => {
+            const db = open.result;
+            const transaction = db.transaction(STORE, mode);
+            const pending = request(transaction.objectStore(STORE));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(pending.result);
+            };
+            transaction.onerror = transaction.onabort = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        };
+    });
+}
@@ -0,0 +1,156 @@
+import { downloadReplay, exitReplay, parseReplay, playReplay } from './Replay.js';
+
+// Replay controls (F8): save the running session or load a replay file. While a replay
+// plays it becomes a timeline with pause and scrub.
+export class ReplayPanel {
+    constructor(input, { recorder = null, replayPlayer = null, loop, timestep }) {
+        this.input = input;
+        this.recorder = recorder;
+        this.replayPlayer = replayPlayer;
+        this.loop = loop;
+        this.timestep = timestep;
+
+        this.createUI();
+        this.setVisible(Boolean(replayPlayer)); // Always shown while replaying
+        this.input.on('replay', () => this.setVisible(this.container.style.display === 'none'));
+    }
+
+    get replay() {
+        return this.replayPlayer ? this.replayPlayer.replay : this.recorder.toJSON();
+    }
+
+    setVisible(visible) {
+        this.container.style.display = visible ? 'block' : 'none';
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 20px;
+            width: 300px;
+            padding: 10px;
+            background: rgba(28, 28, 28, 0.85);
+            border: 2px solid #aaaaaa;
+            border-radius: 8px;
+            color: #ffffff;
+            font-family: 'Arial', sans-serif;
+            font-size: 12px;
+            z-index: 100;
+        `;
+        // Keep clicks in the panel from grabbing the pointer for the game
+        this.container.addEventListener('click', (e) => e.stopPropagation());
+
+        this.statusLabel = document.createElement('div');
+        this.statusLabel.style.cssText = `
+            font-weight: bold;
+            margin-bottom: 8px;
+        `;
+        this.container.appendChild(this.statusLabel);
+
+        if (this.replayPlayer) {
+            this.timeline = document.createElement('input');
+            this.timeline.type = 'range';
+            this.timeline.min = 0;
+            this.timeline.max = this.replayPlayer.length;
+            this.timeline.value = 0;
+            this.timeline.style.width = '100%';
+            this.timeline.addEventListener('input', () => (this.scrubbing = true));
+            this.timeline.addEventListener('change', () => {
+                this.scrubbing = false;
+                this.seek(Number(this.timeline.value));
+            });
+            this.container.appendChild(this.timeline);
+        }
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = `
+            display: flex;
+            gap: 6px;
+            margin-top: 8px;
+        `;
+        if (this.replayPlayer) {
+            this.pauseButton = this.createButton('Pause', () => this.setPaused(!this.loop.paused));
+            buttons.appendChild(this.pauseButton);
+        }
+        buttons.appendChild(this.createButton('Save', () => downloadReplay(this.replay)));
+        buttons.appendChild(this.createButton('Load', () => this.fileInput.click()));
+        if (this.replayPlayer) buttons.appendChild(this.createButton('Exit replay', () => exitReplay()));
+        this.container.appendChild(buttons);
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => this.loadFile(this.fileInput.files[0]));
+        this.container.appendChild(this.fileInput);
+
+        document.body.appendChild(this.container);
+    }
+
+    async loadFile(file) {
+        if (!file) return;
+        try {
+            await playReplay(parseReplay(await file.text()));
+        } catch (err) {
+            console.error('❌ Could not load replay', err);
+            this.statusLabel.textContent = 'Invalid replay file';
+        }
+    }
+
+    setPaused(paused) {
+        this.loop.paused = paused;
+        this.pauseButton.textContent = paused ? 'Play' : 'Pause';
+    }
+
+    seek(tick) {
+        if (tick < this.replayPlayer.tick) {
+            playReplay(this.replayPlayer.replay, tick); // Re-simulate from the start up to the tick
+            return;
+        }
+        this.replayPlayer.seek(tick);
+    }
+
+    // Called every frame
+    update() {
+        if (this.container.style.display === 'none') return;
+
+        if (!this.replayPlayer) {
+            const recorder = this.recorder;
+            this.statusLabel.textContent = recorder.stopReason
+                ? `■ Recorded ${formatTime(recorder.tick * this.timestep)}, stopped: ${recorder.stopReason}`
+                : `● REC ${formatTime(recorder.tick * this.timestep)}  (seed ${recorder.seed})`;
+            return;
+        }
+
+        const player = this.replayPlayer;
+        if (player.isFinished && !this.loop.paused) this.setPaused(true);
+        if (!this.scrubbing) this.timeline.value = player.tick;
+
+        let status = `▶ REPLAY ${formatTime(player.tick * this.timestep)} / ${formatTime(player.length * this.timestep)}`;
+        if (player.isSeeking) status += '  seeking...';
+        if (player.desyncTick !== null) status += `  ⚠️ diverged at ${player.desyncTick}`;
+        this.statusLabel.textContent = status;
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.cssText = `
+            padding: 4px 10px;
+            background: #333333;
+            color: #ffffff;
+            border: 1px solid #777777;
+            border-radius: 4px;
+            cursor: pointer;
+        `;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
@@ -0,0 +1,287 @@
+import * as THREE from 'three';
+import { rapier, world } from './physics.js';
+import { random } from './random.js';
+
+// What a titan can currently sense about the player
+export class TitanPerception {
+    constructor(titan) {
+        this.titan = titan;
+        this.canSeePlayer = false;
+        this.lastKnownPosition = null;
+        this.timeSinceSeen = Infinity;
+        this.interval = 0.2; // Seconds between line-of-sight raycasts
+        this.timer = random() * this.interval; // Spread raycasts of a wave over several ticks
+    }
+
+    update(dt) {
+        this.timeSinceSeen += dt;
+        this.timer -= dt;
+        if (this.timer > 0) return;
+        this.timer = this.interval;
+
+        this.canSeePlayer = this.sense();
+        if (this.canSeePlayer) {
+            const playerPos = this.titan.player.position;
+            this.lastKnownPosition = new THREE.Vector3(playerPos.x, 0, playerPos.z);
+            this.timeSinceSeen = 0;
+        }
+    }
+
+    sense() {
+        const titan = this.titan;
+        const player = titan.player;
+        if (!player || !player.mesh || !player.body) return false;
+
+        const eye = titan.getEyePosition();
+        const target = player.position;
+        const toPlayer = new THREE.Vector3().subVectors(target, eye);
+        const dist = toPlayer.length();
+
+        const flatDist = Math.hypot(toPlayer.x, toPlayer.z);
+        if (flatDist < titan.type.hearingRadius) return true; // Close enough to hear
+        if (titan.limbs.isBlind) return false;
+        if (dist > titan.type.searchRadius) return false;
+
+        // View cone (horizontal only, titans look up and down freely)
+        const forward = titan.getForward();
+        const flatDir = new THREE.Vector3(toPlayer.x, 0, toPlayer.z).normalize();
+        const halfAngle = THREE.MathUtils.degToRad(titan.type.viewAngle) / 2;
+        if (forward.angleTo(flatDir) > halfAngle) return false;
+
+        // Line of sight against city colliders, ignoring the titan's own bodies
+        toPlayer.divideScalar(dist);
+        const ray = new rapier.Ray(eye, toPlayer);
+        const ownBodies = titan.getBodyHandles();
+        const hit = world.castRay(ray, dist, true, undefined, undefined, undefined, undefined, (collider) => {
+            const parent = collider.parent();
+            return !parent || !ownBodies.includes(parent.handle);
+        });
+
+        if (!hit) return true;
+        const parent = hit.collider.parent();
+        if (parent && parent.handle === player.body.handle) return true;
+        return hit.timeOfImpact >= dist - 1.0;
+    }
+
+    forget() {
+        this.lastKnownPosition = null;
+        this.timeSinceSeen = Infinity;
+    }
+}
+
+// Behaviour state machine: idle -> patrol -> chase -> attack, with investigate,
+// stunned and dead layered on top. The titan itself only exposes actuators
+// (walkToward, faceToward, attack...), every decision is made here.
+export class TitanAI {
+    constructor(titan) {
+        this.titan = titan;
+        this.perception = new TitanPerception(titan);
+        this.state = 'idle';
+        this.stateTime = 0;
+        this.stunTime = 0;
+
+        this.memoryDuration = 20;  // Seconds the last known position stays worth investigating
+        this.lookAroundTime = 4;   // Seconds spent searching at the last known position
+        this.idleTime = 2;
+
+        this.patrolRoute = null;
+        this.patrolIndex = 0;
+
+        this.hookedTime = 0;
+        this.hookReactionTime = 1.2; // Seconds a player can hang on before the titan reacts
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        if (this.state === 'dead') return;
+        this.state = state;
+        this.stateTime = 0;
+    }
+
+    stun(duration) {
+        this.stunTime = Math.max(this.stunTime, duration);
+        this.setState('stunned');
+    }
+
+    update(dt) {
+        const titan = this.titan;
+        if (this.state === 'dead') return;
+
+        this.stateTime += dt;
+        if (this.state !== 'stunned') {
+            this.perception.update(dt);
+            this.reactToHooks(dt, titan);
+        }
+
+        const handlers = {
+            idle: this.updateIdle,
+            patrol: this.updatePatrol,
+            investigate: this.updateInvestigate,
+            chase: this.updateChase,
+            attack: this.updateAttack,
+            stunned: this.updateStunned
+        };
+        handlers[this.state].call(this, dt, titan);
+    }
+
+    // Shared transition: any calm state switches to chase as soon as the player is perceived
+    reactToPlayer() {
+        if (!this.titan.player || !this.titan.player.mesh) return false;
+        if (this.perception.canSeePlayer || this.titan.type.behaviour === 'abnormal') {
+            this.setState('chase');
+            return true;
+        }
+        return false;
+    }
+
+    // Players hooked into the titan get grabbed if a hand can reach them, shaken off otherwise
+    reactToHooks(dt, titan) {
+        const player = titan.player;
+        if (!player || !player.body || titan.grab || !player.isHookedTo(titan.getBodyHandles())) {
+            this.hookedTime = 0;
+            return;
+        }
+
+        this.hookedTime += dt;
+        if (this.hookedTime < this.hookReactionTime) return;
+        this.hookedTime = 0;
+
+        const hand = titan.getGrabHand(player.position);
+        if (hand) {
+            titan.grabPlayer(hand);
+        } else {
+            titan.shakeOff();
+        }
+    }
+
+    updateIdle(dt, titan) {
+        titan.stopMoving();
+        if (this.reactToPlayer()) return;
+        if (this.stateTime > this.idleTime) this.setState('patrol');
+    }
+
+    updatePatrol(dt, titan) {
+        if (this.reactToPlayer()) return;
+
+        if (!this.patrolRoute) this.buildPatrolRoute();
+        const waypoint = this.patrolRoute[this.patrolIndex];
+        if (this.moveTo(waypoint, titan.chaseSpeed * 0.5, 0.05)) {
+            this.patrolIndex = (this.patrolIndex + 1) % this.patrolRoute.length;
+        }
+    }
+
+    updateInvestigate(dt, titan) {
+        if (this.reactToPlayer()) return;
+
+        const target = this.perception.lastKnownPosition;
+        if (!target || this.perception.timeSinceSeen > this.memoryDuration) {
+            this.perception.forget();
+            this.setState('patrol');
+            return;
+        }
+
+        if (!this.moveTo(target, titan.chaseSpeed * 0.75, 0.08)) {
+            this.stateTime = 0; // Only start the search timer once we arrive
+            return;
+        }
+
+        // Look around the spot where the player vanished
+        titan.stopMoving();
+        titan.mesh.rotateY(dt * 1.2);
+        if (this.stateTime > this.lookAroundTime) {
+            this.perception.forget();
+            this.setState('patrol');
+        }
+    }
+
+    updateChase(dt, titan) {
+        const perception = this.perception;
+        const titanPos = titan.body.translation();
+        const playerPos = titan.player.position;
+        const dx = playerPos.x - titanPos.x;
+        const dz = playerPos.z - titanPos.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+
+        // Lost track - head to where the player was last seen
+        if (!perception.canSeePlayer && titan.type.behaviour !== 'abnormal') {
+            this.setState('investigate');
+            return;
+        }
+
+        // Check if player is on ground (low Y position relative to titan)
+        const playerOnGround = playerPos.y < titan.mesh.position.y + 2;
+        const canAttack = titan.attackCooldown <= 0 && !titan.grab && (perception.canSeePlayer || dist < titan.type.hearingRadius);
+
+        // Stomp attack - player under titan's feet
+        if (canAttack && dist < titan.type.stompRadius && playerOnGround && titan.hasAttack('stomp')) {
+            titan.attack('stomp');
+            console.log("🦶 Titan STOMP!");
+            this.setState('attack');
+            return;
+        }
+        // Arm attack - player within arm reach
+        if (canAttack && dist < titan.type.armReach && titan.canSwipe(playerPos)) {
+            titan.attack('swipe');
+            console.log("👊 Titan attacks!");
+            this.setState('attack');
+            return;
+        }
+
+        if (titan.type.behaviour === 'abnormal') {
+            titan.updateAbnormal(dt, titanPos, playerPos);
+            return;
+        }
+
+        // Player detected - CHASE!
+        const speed = dist > titan.type.armReach ? titan.chaseSpeed : titan.chaseSpeed * 0.5; // Faster when far
+        titan.navigateTo(playerPos, speed, 0.1);
+    }
+
+    updateAttack(dt, titan) {
+        const playerPos = titan.player.position;
+        const titanPos = titan.body.translation();
+        titan.faceToward(playerPos.x - titanPos.x, playerPos.z - titanPos.z, 0.1);
+
+        if (!titan.updateAttack(dt)) this.setState('chase');
+    }
+
+    updateStunned(dt, titan) {
+        titan.stopMoving();
+        this.stunTime -= dt;
+        if (this.stunTime > 0) return;
+
+        this.stunTime = 0;
+        this.setState(this.perception.lastKnownPosition ? 'investigate' : 'patrol');
+    }
+
+    // Returns true once the titan is within reach of the point
+    moveTo(point, speed, turnRate) {
+        const titan = this.titan;
+        const titanPos = titan.body.translation();
+        const dx = point.x - titanPos.x;
+        const dz = point.z - titanPos.z;
+        if (Math.sqrt(dx * dx + dz * dz) < 5 + 2 * titan.sizeFactor) return true;
+
+        titan.navigateTo(point, speed, turnRate);
+        return false;
+    }
+
+    // A loop through the rally point and a ring of random points around it
+    buildPatrolRoute() {
+        const titan = this.titan;
+        const pos = titan.body.translation();
+        const center = titan.rallyPoint ?? new THREE.Vector3(pos.x, 0, pos.z);
+        const route = [center.clone()];
+
+        const startAngle = random() * Math.PI * 2;
+        const count = 4;
+        for (let i = 0; i < count; i++) {
+            const angle = startAngle + (i / count) * Math.PI * 2;
+            const radius = 40 + random() * 80;
+            route.push(new THREE.Vector3(center.x + Math.cos(angle) * radius, 0, center.z + Math.sin(angle) * radius));
+        }
+
+        this.patrolRoute = route;
+        this.patrolIndex = 0;
+    }
+}
@@ -0,0 +1,249 @@
+import * as THREE from 'three';
+import { rapier, world, GROUP, collisionGroups } from './physics.js';
+
+// Limb hitboxes. `offset` is the fallback position (titan-local, in units of the
+// 14m base titan) used until the model's bones are found.
+const LIMB_DEFS = {
+    leftArm: { radius: 1.2, health: 30, regenTime: 15, offset: [3, 1, 1] },
+    rightArm: { radius: 1.2, health: 30, regenTime: 15, offset: [-3, 1, 1] },
+    leftAnkle: { radius: 1.0, health: 25, regenTime: 12, offset: [1, -6, 0] },
+    rightAnkle: { radius: 1.0, health: 25, regenTime: 12, offset: [-1, -6, 0] },
+    eyes: { radius: 0.6, health: 10, regenTime: 5, offset: [0, 6, 1] }
+};
+
+const TOPPLE_TIME = 6;   // Seconds a titan stays down after losing an ankle
+const TOPPLE_TILT = 1.1; // Radians the body pitches forward while toppled
+
+// Per-limb hitboxes following the titan's bones, with severing and steaming regeneration
+export class TitanLimbs {
+    constructor(titan) {
+        this.titan = titan;
+        this.limbs = {};
+
+        const size = titan.sizeFactor;
+        for (const [name, def] of Object.entries(LIMB_DEFS)) {
+            const radius = def.radius * size;
+            const offset = new THREE.Vector3(...def.offset).multiplyScalar(size);
+            const pos = titan.mesh.localToWorld(offset.clone());
+
+            const body = world.createRigidBody(rapier.RigidBodyDesc.kinematicPositionBased()
+                .setTranslation(pos.x, pos.y, pos.z));
+            const colliderDesc = rapier.ColliderDesc.ball(radius)
+                .setSensor(true)
+                .setCollisionGroups(collisionGroups(GROUP.TITAN));
+            world.createCollider(colliderDesc, body);
+
+            this.limbs[name] = {
+                name,
+                radius,
+                offset,
+                bone: null,
+                severBone: null, // Bone scaled to zero to hide the severed part
+                body,
+                maxHealth: def.health,
+                health: def.health,
+                regenTime: def.regenTime,
+                regenTimer: 0,
+                severed: false,
+                position: pos
+            };
+        }
+
+        this.toppleTimer = 0;
+
+        this.steam = new SteamEmitter(titan.scene, size);
+    }
+
+    attachBones({ head, leftHand, rightHand, leftForeArm, rightForeArm, leftFoot, rightFoot }) {
+        const bind = (name, bone, severBone) => {
+            if (!bone) return;
+            this.limbs[name].bone = bone;
+            this.limbs[name].severBone = severBone;
+        };
+
+        // Arms drop from the forearm down, ankles from the foot down
+        bind('leftArm', leftHand, leftForeArm ?? leftHand);
+        bind('rightArm', rightHand, rightForeArm ?? rightHand);
+        bind('leftAnkle', leftFoot, leftFoot);
+        bind('rightAnkle', rightFoot, rightFoot);
+        bind('eyes', head, null);
+    }
+
+    get isBlind() {
+        return this.limbs.eyes.severed;
+    }
+
+    get isToppled() {
+        return this.toppleTimer > 0;
+    }
+
+    getBodyHandles() {
+        return Object.values(this.limbs).map(limb => limb.body.handle);
+    }
+
+    // Intact limbs that can currently be cut
+    getTargets() {
+        return Object.values(this.limbs).filter(limb => !limb.severed);
+    }
+
+    damage(name, amount) {
+        const limb = this.limbs[name];
+        if (!limb || limb.severed) return;
+
+        limb.health -= amount;
+        console.log(`🩸 ${name} hit! Damage: ${amount.toFixed(1)} | Limb HP: ${Math.max(0, limb.health).toFixed(1)}`);
+        if (limb.health <= 0) this.sever(limb);
+    }
+
+    sever(limb) {
+        limb.severed = true;
+        limb.health = 0;
+        limb.regenTimer = limb.regenTime;
+
+        const titan = this.titan;
+        switch (limb.name) {
+            case 'leftAnkle':
+            case 'rightAnkle':
+                // Losing an ankle brings the titan down - longer if both are gone
+                this.toppleTimer = Math.max(this.toppleTimer, TOPPLE_TIME);
+                if (this.limbs.leftAnkle.severed && this.limbs.rightAnkle.severed) this.toppleTimer += TOPPLE_TIME * 0.5;
+                titan.stun(this.toppleTimer);
+                console.log("🦵 Ankle cut - Titan topples!");
+                break;
+            case 'leftArm':
+            case 'rightArm':
+                // The attack sphere of a missing arm has nothing to warn about
+                (limb.name === 'leftArm' ? titan.attackSphereLeft : titan.attackSphereRight).visible = false;
+                console.log(`💪 ${limb.name} severed - that arm can't attack!`);
+                break;
+            case 'eyes':
+                titan.ai.perception.canSeePlayer = false;
+                console.log("👁️ Eyes cut - Titan is blind!");
+                break;
+        }
+    }
+
+    regenerate(limb) {
+        limb.severed = false;
+        limb.health = limb.maxHealth;
+        if (limb.severBone) limb.severBone.scale.setScalar(1);
+        if (limb.name === 'leftArm') this.titan.attackSphereLeft.visible = true;
+        if (limb.name === 'rightArm') this.titan.attackSphereRight.visible = true;
+        console.log(`♨️ ${limb.name} regenerated`);
+    }
+
+    // Call after the animation mixer has posed the skeleton
+    update(dt) {
+        const titan = this.titan;
+
+        for (const limb of Object.values(this.limbs)) {
+            if (limb.severed) {
+                // Mixer tracks overwrite bone scale every frame, so keep the cut part hidden
+                if (limb.severBone) limb.severBone.scale.setScalar(0.001);
+
+                limb.regenTimer -= dt;
+                this.steam.emit(limb.position, dt);
+                if (limb.regenTimer <= 0) this.regenerate(limb);
+            }
+
+            // Track bone (or fallback offset) with the kinematic hitbox
+            if (limb.bone) {
+                limb.bone.getWorldPosition(limb.position);
+            } else {
+                limb.position.copy(limb.offset).applyQuaternion(titan.mesh.quaternion).add(titan.mesh.position);
+            }
+            limb.body.setNextKinematicTranslation(limb.position);
+        }
+
+        if (this.toppleTimer > 0) {
+            this.toppleTimer -= dt;
+            // Pitch forward while down, then straighten back up as the ankle heals
+            const tilt = Math.min(1, this.toppleTimer) * TOPPLE_TILT;
+            titan.mesh.rotation.x = tilt;
+        } else if (titan.mesh.rotation.x !== 0 && titan.isAlive) {
+            titan.mesh.rotation.x = 0;
+        }
+
+        this.steam.update(dt);
+    }
+
+    dispose() {
+        Object.values(this.limbs).forEach(limb => world.removeRigidBody(limb.body));
+        this.steam.dispose();
+    }
+}
+
+// Rising white puffs around regenerating wounds
+class SteamEmitter {
+    constructor(scene, size, maxParticles = 120) {
+        this.scene = scene;
+        this.size = size;
+        this.maxParticles = maxParticles;
+        this.particles = [];
+        this.spawnAccumulator = 0;
+
+        this.positions = new Float32Array(maxParticles * 3);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+        geometry.setDrawRange(0, 0);
+        const material = new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 0.8 * size,
+            transparent: true,
+            opacity: 0.6,
+            depthWrite: false
+        });
+        this.points = new THREE.Points(geometry, material);
+        this.points.frustumCulled = false;
+        this.scene.add(this.points);
+    }
+
+    emit(position, dt, rate = 25) {
+        this.spawnAccumulator += rate * dt;
+        while (this.spawnAccumulator >= 1) {
+            this.spawnAccumulator -= 1;
+            if (this.particles.length >= this.maxParticles) return;
+            this.particles.push({
+                position: position.clone().add(new THREE.Vector3(
+                    (Math.random() - 0.5) * this.size,
+                    0,
+                    (Math.random() - 0.5) * this.size
+                )),
+                velocity: new THREE.Vector3((Math.random() - 0.5) * 0.5, 1.5 + Math.random(), (Math.random() - 0.5) * 0.5).multiplyScalar(this.size),
+                life: 1.5
+            });
+        }
+    }
+
+    update(dt) {
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            const p = this.particles[i];
+            p.life -= dt;
+            if (p.life <= 0) {
+                this.particles.splice(i, 1);
+                continue;
+            }
+            p.position.addScaledVector(p.velocity, dt);
+        }
+
+        this.particles.forEach((p, i) => {
+            this.positions[i * 3] = p.position.x;
+            this.positions[i * 3 + 1] = p.position.y;
+            this.positions[i * 3 + 2] = p.position.z;
+        });
+        const geometry = this.points.geometry;
+        geometry.setDrawRange(0, this.particles.length);
+        geometry.attributes.position.needsUpdate = true;
+    }
+
+    clear() {
+        this.particles = [];
+        this.points.geometry.setDrawRange(0, 0);
+    }
+
+    dispose() {
+        this.scene.remove(this.points);
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
@@ -0,0 +1,183 @@
+import { Titan } from './titan.js';
+import { NavGrid } from './NavGrid.js';
+import { random } from './random.js';
+
+// Spawn weights per titan type: first wave it can appear in, weight on that wave, weight gained per later wave
+const WAVE_ROSTER = {
+    small: { fromWave: 1, weight: 6, growth: -0.5 },
+    medium: { fromWave: 1, weight: 3, growth: 0.5 },
+    large: { fromWave: 2, weight: 1, growth: 0.75 },
+    abnormal: { fromWave: 3, weight: 0.5, growth: 0.4 }
+};
+
+// Spawns titans in waves from outside the wall and keeps track of every living titan
+export class TitanManager {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.titans = [];
+        this.player = null;
+
+        this.city = options.city ?? null;
+        this.spawnRadius = options.spawnRadius ?? 300; // Pushed out past the outermost wall when there are walls
+        this.spawnPoints = options.spawnPoints ?? []; // { x, z } - levels can fix where waves come from
+        this.rallyPoint = options.rallyPoint ?? { x: 0, z: 0 }; // Titans march here until they spot the player
+        this.intermission = options.intermission ?? 8; // Seconds between waves
+        this.corpseTime = 10; // Seconds a dead titan stays on the ground
+        this.maxWaveSize = 12;
+
+        // Navigation grid around the city, out past where waves spawn; rebuilt whenever buildings or walls change
+        this.navGrid = new NavGrid({ extent: Math.max(360, this.spawnDistance() + 80) });
+        if (this.city) {
+            this.navGrid.build(this.city.getObstacles());
+            this.city.on('buildingsChanged', () => this.navGrid.build(this.city.getObstacles()));
+        }
+
+        this.wave = 0;
+        this.nextWaveTimer = options.firstWaveDelay ?? 3;
+
+        this.createWaveUI();
+        this.updateWaveUI();
+    }
+
+    setPlayerTarget(player) {
+        this.player = player;
+        this.titans.forEach(titan => titan.setPlayerTarget(player));
+    }
+
+    get aliveTitans() {
+        return this.titans.filter(titan => titan.isAlive);
+    }
+
+    // Wave size and titan variety both escalate with the wave number
+    composeWave(wave) {
+        const count = Math.min(1 + wave, this.maxWaveSize);
+
+        const roster = Object.entries(WAVE_ROSTER)
+            .filter(([, entry]) => wave >= entry.fromWave)
+            .map(([type, entry]) => ({ type, weight: Math.max(0.5, entry.weight + entry.growth * (wave - entry.fromWave)) }));
+        const totalWeight = roster.reduce((sum, entry) => sum + entry.weight, 0);
+
+        const types = [];
+        for (let i = 0; i < count; i++) {
+            let roll = random() * totalWeight;
+            const pick = roster.find(entry => (roll -= entry.weight) < 0) ?? roster[roster.length - 1];
+            types.push(pick.type);
+        }
+        return types;
+    }
+
+    spawnWave() {
+        this.wave++;
+        const types = this.composeWave(this.wave);
+
+        if (this.spawnPoints.length > 0) {
+            // Whole wave gathers around one of the level's spawn points
+            const point = this.spawnPoints[Math.floor(random() * this.spawnPoints.length)];
+            types.forEach((type) => {
+                this.spawnTitan({ x: point.x + (random() - 0.5) * 40, y: 0, z: point.z + (random() - 0.5) * 40 }, type);
+            });
+        } else {
+            // Each wave comes from one side, spread over a 60 degree arc outside the wall that still holds
+            const baseAngle = random() * Math.PI * 2;
+            const spawnDistance = this.spawnDistance();
+            types.forEach((type, i) => {
+                const angle = baseAngle + (i / Math.max(1, types.length - 1) - 0.5) * (Math.PI / 3);
+                const dist = spawnDistance + random() * 40;
+                this.spawnTitan({ x: Math.cos(angle) * dist, y: 0, z: Math.sin(angle) * dist }, type);
+            });
+        }
+
+        console.log(`🌊 Wave ${this.wave}: ${types.join(', ')}`);
+        this.updateWaveUI();
+    }
+
+    // Breached walls let waves spawn further in
+    spawnDistance() {
+        return this.city ? this.city.walls.spawnRadius(this.spawnRadius) : this.spawnRadius;
+    }
+
+    spawnTitan(position, type = 'large') {
+        const titan = new Titan(this.scene, position, type);
+        titan.setNavigation(this.navGrid, this.city);
+        titan.setRallyPoint(this.rallyPoint);
+        if (this.player) titan.setPlayerTarget(this.player);
+        titan.deathTimer = 0;
+        this.titans.push(titan);
+        return titan;
+    }
+
+    update(dt) {
+        for (let i = this.titans.length - 1; i >= 0; i--) {
+            const titan = this.titans[i];
+            titan.update(dt);
+
+            if (!titan.isAlive) {
+                titan.deathTimer += dt;
+                if (titan.deathTimer >= this.corpseTime) {
+                    titan.dispose();
+                    this.titans.splice(i, 1);
+                }
+            }
+        }
+
+        // Start the next wave once the current one is wiped out
+        if (this.aliveTitans.length === 0) {
+            if (this.nextWaveTimer <= 0) this.nextWaveTimer = this.intermission;
+            this.nextWaveTimer -= dt;
+            if (this.nextWaveTimer <= 0) this.spawnWave();
+        }
+        this.updateWaveUI();
+    }
+
+    // Start of every fixed step, before the player acts on the titans
+    syncToBodies() {
+        this.titans.forEach(titan => titan.syncToBody());
+    }
+
+    capturePhysicsState() {
+        this.titans.forEach(titan => titan.capturePhysicsState());
+    }
+
+    render(camera, alpha) {
+        this.titans.forEach(titan => titan.render(camera, alpha));
+    }
+
+    createWaveUI() {
+        this.waveContainer = document.createElement('div');
+        this.waveContainer.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            color: #ffffff;
+            font-family: 'Arial', sans-serif;
+            font-weight: bold;
+            font-size: 18px;
+            text-align: center;
+            text-shadow: 1px 1px 2px black;
+            pointer-events: none;
+        `;
+
+        this.waveLabel = document.createElement('div');
+        this.waveContainer.appendChild(this.waveLabel);
+
+        this.waveStatus = document.createElement('div');
+        this.waveStatus.style.cssText = `
+            font-size: 13px;
+            color: #ff8888;
+        `;
+        this.waveContainer.appendChild(this.waveStatus);
+
+        document.body.appendChild(this.waveContainer);
+    }
+
+    updateWaveUI() {
+        if (!this.waveLabel) return;
+
+        const alive = this.aliveTitans.length;
+        this.waveLabel.textContent = this.wave > 0 ? `WAVE ${this.wave}` : 'GET READY';
+        this.waveStatus.textContent = alive > 0
+            ? `TITANS: ${alive}`
+            : `NEXT WAVE IN ${Math.max(0, Math.ceil(this.nextWaveTimer))}`;
+    }
+}
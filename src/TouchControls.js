@@ -0,0 +1,171 @@
+const JOYSTICK_RADIUS = 60;     // Knob travel for full speed (px)
+const JOYSTICK_ZONE = 0.4;      // Left part of the screen where a touch starts the joystick
+
+// On-screen buttons, bottom-right above the blades HUD
+const BUTTONS = [
+    { action: 'hookLeft', label: 'HOOK L', right: 170, bottom: 200 },
+    { action: 'hookRight', label: 'HOOK R', right: 20, bottom: 200 },
+    { action: 'attack', label: '⚔️', right: 95, bottom: 140, size: 70 },
+    { action: 'jump', label: 'JUMP', right: 20, bottom: 110 },
+    { action: 'boost', label: 'GAS', right: 170, bottom: 110 },
+    { action: 'heal', label: 'HEAL', right: 20, bottom: 290, size: 48 }
+];
+
+// Virtual joystick, drag-to-look and action buttons for phones. Feeds the input layer
+// like any other device: the joystick sets the move axes, buttons hold actions
+export class TouchControls {
+    // Phones and tablets, not laptops that merely have a touch screen
+    static isSupported() {
+        return Boolean(window.matchMedia?.('(pointer: coarse)').matches) && navigator.maxTouchPoints > 0;
+    }
+
+    constructor(input, { onLook } = {}) {
+        this.input = input;
+        this.onLook = onLook;   // (dx, dy) in pixels, the camera decides the sensitivity
+        this.joystick = null;   // { id, originX, originY }
+        this.look = null;       // { id, x, y }
+
+        this.createUI();
+    }
+
+    createUI() {
+        // Full screen layer under the HUD buttons: takes every touch so the browser doesn't scroll or zoom
+        this.layer = document.createElement('div');
+        this.layer.style.cssText = `
+            position: fixed;
+            inset: 0;
+            z-index: 50;
+            touch-action: none;
+            user-select: none;
+            -webkit-user-select: none;
+        `;
+        this.layer.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false });
+        this.layer.addEventListener('touchmove', (e) => this.onTouchMove(e), { passive: false });
+        this.layer.addEventListener('touchend', (e) => this.onTouchEnd(e));
+        this.layer.addEventListener('touchcancel', (e) => this.onTouchEnd(e));
+
+        this.joystickBase = document.createElement('div');
+        this.joystickBase.style.cssText = `
+            position: absolute;
+            width: ${JOYSTICK_RADIUS * 2}px;
+            height: ${JOYSTICK_RADIUS * 2}px;
+            margin: -${JOYSTICK_RADIUS}px 0 0 -${JOYSTICK_RADIUS}px;
+            border: 2px solid rgba(255, 255, 255, 0.5);
+            border-radius: 50%;
+            background: rgba(0, 0, 0, 0.2);
+            display: none;
+            pointer-events: none;
+        `;
+        this.joystickKnob = document.createElement('div');
+        this.joystickKnob.style.cssText = `
+            position: absolute;
+            left: 50%;
+            top: 50%;
+            width: 50px;
+            height: 50px;
+            margin: -25px 0 0 -25px;
+            border-radius: 50%;
+            background: rgba(255, 255, 255, 0.6);
+        `;
+        this.joystickBase.appendChild(this.joystickKnob);
+        this.layer.appendChild(this.joystickBase);
+
+        for (const def of BUTTONS) this.layer.appendChild(this.createButton(def));
+
+        document.body.appendChild(this.layer);
+    }
+
+    createButton({ action, label, right, bottom, size = 60 }) {
+        const button = document.createElement('div');
+        button.textContent = label;
+        button.style.cssText = `
+            position: absolute;
+            right: ${right}px;
+            bottom: ${bottom}px;
+            width: ${size}px;
+            height: ${size}px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            border: 2px solid rgba(255, 255, 255, 0.6);
+            border-radius: 50%;
+            background: rgba(0, 0, 0, 0.35);
+            color: #ffffff;
+            font-family: 'Arial', sans-serif;
+            font-weight: bold;
+            font-size: 12px;
+        `;
+
+        const setDown = (down) => {
+            button.style.background = down ? 'rgba(255, 255, 255, 0.35)' : 'rgba(0, 0, 0, 0.35)';
+            this.input.setActionState(action, down, 'touch');
+        };
+        // Touch events stay with the element they started on, so the release always arrives here
+        button.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            setDown(true);
+        }, { passive: false });
+        button.addEventListener('touchend', (e) => {
+            e.stopPropagation();
+            if (e.targetTouches.length === 0) setDown(false);
+        });
+        button.addEventListener('touchcancel', (e) => {
+            e.stopPropagation();
+            setDown(false);
+        });
+        return button;
+    }
+
+    onTouchStart(e) {
+        e.preventDefault();
+        for (const touch of e.changedTouches) {
+            if (!this.joystick && touch.clientX < window.innerWidth * JOYSTICK_ZONE) {
+                // The joystick appears wherever the thumb lands
+                this.joystick = { id: touch.identifier, originX: touch.clientX, originY: touch.clientY };
+                this.joystickBase.style.left = `${touch.clientX}px`;
+                this.joystickBase.style.top = `${touch.clientY}px`;
+                this.joystickBase.style.display = 'block';
+                this.setStick(0, 0);
+            } else if (!this.look) {
+                this.look = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+            }
+        }
+    }
+
+    onTouchMove(e) {
+        e.preventDefault();
+        for (const touch of e.changedTouches) {
+            if (this.joystick?.id === touch.identifier) {
+                this.setStick(touch.clientX - this.joystick.originX, touch.clientY - this.joystick.originY);
+            } else if (this.look?.id === touch.identifier) {
+                this.onLook?.(touch.clientX - this.look.x, touch.clientY - this.look.y);
+                this.look.x = touch.clientX;
+                this.look.y = touch.clientY;
+            }
+        }
+    }
+
+    onTouchEnd(e) {
+        for (const touch of e.changedTouches) {
+            if (this.joystick?.id === touch.identifier) {
+                this.joystick = null;
+                this.joystickBase.style.display = 'none';
+                this.setStick(0, 0);
+            } else if (this.look?.id === touch.identifier) {
+                this.look = null;
+            }
+        }
+    }
+
+    // Knob offset in pixels -> move axes, proportional up to the joystick radius
+    setStick(dx, dy) {
+        const distance = Math.hypot(dx, dy);
+        const scale = distance > JOYSTICK_RADIUS ? JOYSTICK_RADIUS / distance : 1;
+        dx *= scale;
+        dy *= scale;
+        this.joystickKnob.style.transform = `translate(${dx}px, ${dy}px)`;
+        this.input.setAxis('moveX', dx / JOYSTICK_RADIUS, 'touch');
+        this.input.setAxis('moveY', dy / JOYSTICK_RADIUS, 'touch');
+    }
+}
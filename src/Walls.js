@@ -0,0 +1,429 @@
+import * as THREE from 'three';
+import { rapier, world, GROUP, collisionGroups } from './physics.js';
+import { assets } from './Assets.js';
+
+// wall.fbx is a closed circuit of wall with a buttress every 0.47 wall heights. One bay, cut
+// between two buttresses on its straight -x side, is repeated and bent around every ring.
+// Both values are in wall heights, measured from the model's centre along z.
+const BAY = { start: -0.03, length: 0.47 };
+const BAY_SIDE = 0.1;          // Share of the model's width, from its -x edge, the bay is cut from
+const PLAIN_THICKNESS = 0.4;   // Stand-in wall when the model doesn't load, in wall heights
+
+const DOOR_HEIGHT = 0.6;       // Share of the wall height
+const GATE_OPEN_TIME = 6;      // Seconds for a door to sink fully into the ground
+const SPAWN_MARGIN = 25;       // Titans spawn this far outside the wall that holds them back
+const APPROACH_DISTANCE = 8;   // How far in front of a gate titans line up before walking through
+
+// Concentric wall rings with gates. The doors of the gates sink into the ground to open and can
+// be battered down by titans; a ring with a broken gate is breached and no longer keeps waves out.
+export class Walls {
+    // configs: the level's walls, see Level.js
+    constructor(scene, configs) {
+        this.scene = scene;
+        this.doorMaterial = new THREE.MeshStandardMaterial({ color: 0x5b3a1e, roughness: 0.9 });
+        this.rings = configs
+            .map(config => ({
+                config,
+                name: config.name,
+                radius: config.radius,
+                height: config.height,
+                thickness: 0,
+                mesh: null,
+                body: null,
+                footprints: [],
+                gates: [],
+                get breached() {
+                    return this.gates.some(gate => gate.breached);
+                }
+            }))
+            .sort((a, b) => b.radius - a.radius); // Outermost first
+    }
+
+    get gates() {
+        return this.rings.flatMap(ring => ring.gates);
+    }
+
+    // Loads every wall model once and builds the rings; resolves once they stand
+    build() {
+        const modelNames = [...new Set(this.rings.map(ring => ring.config.model).filter(Boolean))];
+        const loads = modelNames.map(name => assets.load(name)
+            .then((model) => {
+                console.log(`✅ Wall ${name} Loaded`);
+                return extractBay(model);
+            })
+            .catch((err) => {
+                console.error(`❌ Error loading ${name}, building plain walls:`, err);
+                return null;
+            }));
+
+        return Promise.all(loads).then((bays) => {
+            const byModel = new Map(modelNames.map((name, i) => [name, bays[i]]));
+            this.rings.forEach(ring => this.buildRing(ring, byModel.get(ring.config.model) ?? plainBay()));
+            if (this.rings.length) console.log(`🧱 Built walls ${this.rings.map(ring => ring.name).join(', ')}`);
+        });
+    }
+
+    buildRing(ring, bay) {
+        const { radius, height } = ring;
+        const gateConfigs = ring.config.gates;
+
+        // Whole bays only, and a multiple of the gate count so evenly spaced gates each get a bay centred on them
+        const gateCount = Math.max(1, gateConfigs.length);
+        const bayCount = gateCount * Math.max(1, Math.round(2 * Math.PI * radius / (bay.length * height) / gateCount));
+        const step = 2 * Math.PI / bayCount;
+        const offset = (gateConfigs[0]?.angle ?? 0) - step / 2;
+        const chord = 2 * radius * Math.sin(step / 2);
+        ring.thickness = bay.thickness * height;
+
+        const gateBays = new Map(); // Bay index -> gate config
+        for (const config of gateConfigs) {
+            const index = Math.round((config.angle - offset - step / 2) / step);
+            gateBays.set(((index % bayCount) + bayCount) % bayCount, config);
+        }
+        const wallBays = [];
+        for (let i = 0; i < bayCount; i++) {
+            if (!gateBays.has(i)) wallBays.push(i);
+        }
+
+        ring.mesh = new THREE.Mesh(bendBays(bay, wallBays.map(i => offset + i * step), step, radius, height), bay.material);
+        ring.mesh.castShadow = true;
+        ring.mesh.receiveShadow = true;
+        this.scene.add(ring.mesh);
+
+        // One box per bay along the chord of its arc
+        ring.body = world.createRigidBody(rapier.RigidBodyDesc.fixed());
+        ring.footprints = wallBays.map((i) => {
+            const angle = offset + (i + 0.5) * step;
+            const footprint = tangentRect(radius, angle, chord / 2, ring.thickness / 2);
+            this.addBox(ring.body, footprint, height / 2, height / 2);
+            return footprint;
+        });
+
+        ring.gates = [...gateBays].map(([i, config]) => this.createGate(ring, config, offset + (i + 0.5) * step, chord, bay.material));
+    }
+
+    // Gatehouse in one bay: pillars hide the cut ends of the neighbouring bays, a lintel spans
+    // the top and the door fills the opening underneath
+    createGate(ring, config, angle, width, material) {
+        const { height, thickness } = ring;
+        const rect = tangentRect(ring.radius, angle, width / 2, thickness / 2);
+        const rotation = Math.PI / 2 - angle;
+        const pillarWidth = Math.min(3, width * 0.15);
+        const doorHeight = height * DOOR_HEIGHT;
+        const doorWidth = width - 2 * pillarWidth;
+        const doorThickness = thickness * 0.5;
+
+        const group = new THREE.Group();
+        group.position.set(rect.x, 0, rect.z);
+        group.rotation.y = rotation;
+        this.scene.add(group);
+
+        const addMesh = (geometry, meshMaterial, x, y) => {
+            const mesh = new THREE.Mesh(geometry, meshMaterial);
+            mesh.position.set(x, y, 0);
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            group.add(mesh);
+            return mesh;
+        };
+
+        for (const side of [-1, 1]) {
+            const along = side * (width - pillarWidth) / 2;
+            addMesh(new THREE.BoxGeometry(pillarWidth, height, thickness * 1.1), material, along, height / 2);
+            this.addBox(ring.body, { ...rect, ...offsetAlong(rect, along), halfU: pillarWidth / 2, halfV: thickness * 0.55 }, height / 2, height / 2);
+        }
+        const lintelHeight = height - doorHeight;
+        addMesh(new THREE.BoxGeometry(doorWidth, lintelHeight, thickness), material, 0, doorHeight + lintelHeight / 2);
+        this.addBox(ring.body, { ...rect, halfU: doorWidth / 2 }, doorHeight + lintelHeight / 2, lintelHeight / 2);
+
+        const door = addMesh(new THREE.BoxGeometry(doorWidth, doorHeight, doorThickness), this.doorMaterial, 0, doorHeight / 2);
+
+        // The door slides, so it gets a kinematic body of its own
+        const gate = {
+            ring,
+            config,
+            angle,
+            x: rect.x,
+            z: rect.z,
+            ux: rect.ux,
+            uz: rect.uz,
+            width: doorWidth,
+            doorHeight,
+            doorThickness,
+            door,
+            body: null,
+            open: Boolean(config.open),
+            openAmount: config.open ? 1 : 0,
+            health: config.health,
+            maxHealth: config.health,
+            breached: false
+        };
+        gate.body = world.createRigidBody(rapier.RigidBodyDesc.kinematicPositionBased()
+            .setTranslation(rect.x, this.doorY(gate), rect.z)
+            .setRotation(yRotation(rotation)));
+        world.createCollider(rapier.ColliderDesc.cuboid(doorWidth / 2, doorHeight / 2, doorThickness / 2)
+            .setCollisionGroups(collisionGroups(GROUP.WALL)), gate.body);
+        door.position.y = this.doorY(gate);
+        return gate;
+    }
+
+    addBox(body, rect, y, halfHeight) {
+        const rotation = Math.atan2(-rect.uz, rect.ux);
+        const colliderDesc = rapier.ColliderDesc.cuboid(rect.halfU, halfHeight, rect.halfV)
+            .setTranslation(rect.x, y, rect.z)
+            .setRotation(yRotation(rotation))
+            .setCollisionGroups(collisionGroups(GROUP.WALL));
+        world.createCollider(colliderDesc, body);
+    }
+
+    doorY(gate) {
+        return gate.doorHeight / 2 - gate.openAmount * gate.doorHeight;
+    }
+
+    // Doors sink into the ground or rise back out, a little every fixed step
+    update(dt) {
+        for (const gate of this.gates) {
+            const target = gate.open ? 1 : 0;
+            if (gate.breached || gate.openAmount === target) continue;
+
+            const step = dt / GATE_OPEN_TIME;
+            gate.openAmount = target > gate.openAmount
+                ? Math.min(target, gate.openAmount + step)
+                : Math.max(target, gate.openAmount - step);
+            const y = this.doorY(gate);
+            gate.door.position.y = y;
+            gate.body.setNextKinematicTranslation({ x: gate.x, y, z: gate.z });
+        }
+    }
+
+    setGateOpen(gate, open) {
+        if (gate.breached || gate.open === open) return;
+        gate.open = open;
+        console.log(`🚪 ${gate.ring.name} gate ${open ? 'opening' : 'closing'}`);
+    }
+
+    damageGate(gate, damage) {
+        if (gate.breached || gate.openAmount >= 1) return; // Nothing left above ground to hit
+        gate.health -= damage;
+        if (gate.health <= 0) this.breachGate(gate);
+    }
+
+    breachGate(gate) {
+        gate.breached = true;
+        gate.health = 0;
+        gate.door.removeFromParent();
+        world.removeRigidBody(gate.body);
+        console.log(`💥 ${gate.ring.name} has been breached!`);
+    }
+
+    // Nearest intact gate whose door is within reach of a point on the ground
+    findGate(position, reach) {
+        let nearest = null;
+        let nearestDist = reach;
+        for (const gate of this.gates) {
+            if (gate.breached) continue;
+            const dx = position.x - gate.x;
+            const dz = position.z - gate.z;
+            const u = Math.abs(dx * gate.ux + dz * gate.uz) - gate.width / 2;
+            const v = Math.abs(-dx * gate.uz + dz * gate.ux) - gate.doorThickness / 2;
+            const dist = Math.hypot(Math.max(0, u), Math.max(0, v));
+            if (dist <= nearestDist) {
+                nearest = gate;
+                nearestDist = dist;
+            }
+        }
+        return nearest;
+    }
+
+    // Where something walking straight from one point to another has to head first: in front of
+    // the best gate of the first ring in the way, then through it. Null when no ring is in the way.
+    gateway(from, to) {
+        const fromRadius = Math.hypot(from.x, from.z);
+        const toRadius = Math.hypot(to.x, to.z);
+        const ring = this.rings
+            .filter(ring => ring.gates.length && (fromRadius - ring.radius) * (toRadius - ring.radius) < 0)
+            .sort((a, b) => Math.abs(fromRadius - a.radius) - Math.abs(fromRadius - b.radius))[0];
+        if (!ring) return null;
+
+        const side = Math.sign(fromRadius - ring.radius); // +1 outside the ring
+        const approach = ring.thickness / 2 + APPROACH_DISTANCE;
+        const pointAt = (gate, distance) => ({
+            x: Math.cos(gate.angle) * (ring.radius + side * distance),
+            z: Math.sin(gate.angle) * (ring.radius + side * distance)
+        });
+        const cost = (gate) => {
+            const near = pointAt(gate, approach);
+            return Math.hypot(near.x - from.x, near.z - from.z) + Math.hypot(to.x - near.x, to.z - near.z);
+        };
+        const gate = ring.gates.reduce((best, gate) => cost(gate) < cost(best) ? gate : best);
+
+        // Lined up in front of it: walk through to the other side
+        const offAngle = Math.atan2(from.z, from.x) - gate.angle;
+        const angleOff = Math.abs(Math.atan2(Math.sin(offAngle), Math.cos(offAngle)));
+        const linedUp = angleOff * fromRadius < gate.width / 4 && Math.abs(fromRadius - ring.radius) < approach + 2;
+        return pointAt(gate, linedUp ? -approach : approach);
+    }
+
+    // Distance from the centre at which waves spawn: outside the outermost wall that still holds,
+    // or well inside the innermost one once every ring has been breached
+    spawnRadius(fallback) {
+        if (this.rings.length === 0) return fallback;
+        const holding = this.rings.find(ring => !ring.breached);
+        if (!holding) return this.rings[this.rings.length - 1].radius / 2;
+        if (holding === this.rings[0]) return Math.max(fallback, holding.radius + SPAWN_MARGIN);
+        return holding.radius + SPAWN_MARGIN;
+    }
+
+    // Wall bays as rotated rectangles for navigation; gates are left open so paths lead through them
+    getObstacles() {
+        return this.rings.flatMap(ring => ring.footprints);
+    }
+}
+
+// Rectangle on a ring, its long side along the wall (same shape as building footprints)
+function tangentRect(radius, angle, halfU, halfV) {
+    const rotation = Math.PI / 2 - angle;
+    return {
+        x: Math.cos(angle) * radius,
+        z: Math.sin(angle) * radius,
+        ux: Math.cos(rotation),
+        uz: -Math.sin(rotation),
+        halfU,
+        halfV
+    };
+}
+
+function offsetAlong(rect, distance) {
+    return { x: rect.x + rect.ux * distance, z: rect.z + rect.uz * distance };
+}
+
+function yRotation(angle) {
+    return { x: 0, y: Math.sin(angle / 2), z: 0, w: Math.cos(angle / 2) };
+}
+
+// Cuts one bay out of the wall model, in bay space: t along the wall, y up and r outwards, all
+// in wall heights. Triangles crossing the cuts are clipped so copies meet without gaps.
+function extractBay(model) {
+    model.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(model);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    const start = center.z + BAY.start * size.y;
+    const end = start + BAY.length * size.y;
+    const sideLimit = box.min.x + BAY_SIDE * size.x;
+
+    const vertices = [];
+    let material = null;
+    model.traverse((child) => {
+        if (!child.isMesh) return;
+        material ??= Array.isArray(child.material) ? child.material[0] : child.material;
+
+        const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry;
+        const normalMatrix = new THREE.Matrix3().getNormalMatrix(child.matrixWorld);
+        const { position, normal, uv } = geometry.attributes;
+        for (let i = 0; i < position.count; i += 3) {
+            const triangle = [i, i + 1, i + 2].map(index => ({
+                p: new THREE.Vector3().fromBufferAttribute(position, index).applyMatrix4(child.matrixWorld),
+                n: normal
+                    ? new THREE.Vector3().fromBufferAttribute(normal, index).applyMatrix3(normalMatrix).normalize()
+                    : new THREE.Vector3(0, 1, 0),
+                uv: uv ? new THREE.Vector2().fromBufferAttribute(uv, index) : new THREE.Vector2()
+            }));
+            if ((triangle[0].p.x + triangle[1].p.x + triangle[2].p.x) / 3 > sideLimit) continue;
+
+            const polygon = clip(clip(triangle, vertex => vertex.p.z - start), vertex => end - vertex.p.z);
+            for (let k = 1; k < polygon.length - 1; k++) vertices.push(polygon[0], polygon[k], polygon[k + 1]);
+        }
+    });
+    if (vertices.length === 0) {
+        console.warn('⚠️ Wall model has nothing to cut a bay from, building plain walls');
+        return null;
+    }
+
+    let minX = Infinity;
+    let maxX = -Infinity;
+    vertices.forEach(({ p }) => {
+        minX = Math.min(minX, p.x);
+        maxX = Math.max(maxX, p.x);
+    });
+    const middle = (minX + maxX) / 2;
+    const scale = 1 / size.y;
+
+    const positions = new Float32Array(vertices.length * 3);
+    const normals = new Float32Array(vertices.length * 3);
+    const uvs = new Float32Array(vertices.length * 2);
+    vertices.forEach(({ p, n, uv }, i) => {
+        // The -x side faces outwards: model z becomes t, -x becomes r (a rotation, so no mirroring)
+        positions.set([(p.z - start) * scale, (p.y - box.min.y) * scale, (middle - p.x) * scale], i * 3);
+        normals.set([n.z, n.y, -n.x], i * 3);
+        uvs.set([uv.x, uv.y], i * 2);
+    });
+    return { positions, normals, uvs, length: BAY.length, thickness: (maxX - minX) * scale, material };
+}
+
+// Stand-in bay when there is no wall model: a plain stone block
+function plainBay() {
+    const geometry = new THREE.BoxGeometry(BAY.length, 1, PLAIN_THICKNESS).toNonIndexed();
+    geometry.translate(BAY.length / 2, 0.5, 0);
+    return {
+        positions: geometry.attributes.position.array,
+        normals: geometry.attributes.normal.array,
+        uvs: geometry.attributes.uv.array,
+        length: BAY.length,
+        thickness: PLAIN_THICKNESS,
+        material: new THREE.MeshStandardMaterial({ color: 0x9a8f7d, roughness: 0.9 })
+    };
+}
+
+// Sutherland-Hodgman: the part of a polygon where distance(vertex) >= 0
+function clip(polygon, distance) {
+    const result = [];
+    polygon.forEach((a, i) => {
+        const b = polygon[(i + 1) % polygon.length];
+        const da = distance(a);
+        const db = distance(b);
+        if (da >= 0) result.push(a);
+        if ((da >= 0) !== (db >= 0)) {
+            const t = da / (da - db);
+            result.push({ p: a.p.clone().lerp(b.p, t), n: a.n.clone().lerp(b.n, t).normalize(), uv: a.uv.clone().lerp(b.uv, t) });
+        }
+    });
+    return result;
+}
+
+// One geometry with a copy of the bay bent onto the ring at every start angle
+function bendBays(bay, starts, step, radius, height) {
+    const count = bay.positions.length / 3;
+    const positions = new Float32Array(count * 3 * starts.length);
+    const normals = new Float32Array(count * 3 * starts.length);
+    const uvs = new Float32Array(count * 2 * starts.length);
+
+    starts.forEach((start, b) => {
+        for (let i = 0; i < count; i++) {
+            const [t, y, r] = bay.positions.subarray(i * 3, i * 3 + 3);
+            const [nt, ny, nr] = bay.normals.subarray(i * 3, i * 3 + 3);
+            // t runs clockwise, along (sin, 0, -cos); r outwards, along (cos, 0, sin)
+            const angle = start + step * (1 - t / bay.length);
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const distance = radius + r * height;
+
+            const o = (b * count + i) * 3;
+            positions[o] = cos * distance;
+            positions[o + 1] = y * height;
+            positions[o + 2] = sin * distance;
+            normals[o] = nt * sin + nr * cos;
+            normals[o + 1] = ny;
+            normals[o + 2] = -nt * cos + nr * sin;
+            uvs[(b * count + i) * 2] = bay.uvs[i * 2];
+            uvs[(b * count + i) * 2 + 1] = bay.uvs[i * 2 + 1];
+        }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.computeBoundingSphere();
+    return geometry;
+}
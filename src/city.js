@@ -1,27 +1,73 @@
 import * as THREE from 'three';
-import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { rapier, world } from './physics.js';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { rapier, world, GROUP, collisionGroups } from './physics.js';
+import { assets } from './Assets.js';
+import { Walls } from './Walls.js';
+import { Debris } from './Debris.js';
+import { buildingColliderDescs } from './BuildingColliders.js';
+import { BuildingRenderer } from './BuildingRenderer.js';
+import { CHUNK_SIZE, ChunkStreamer, chunkKey, chunkOf } from './Chunks.js';
+
+const PHYSICS_CHUNKS = 2; // Building colliders and stairs are loaded this many chunks around the player
+const VIEW_CHUNKS = 5;    // Street meshes out to the fog
+const PHYSICS_LOADS_PER_STEP = 12; // Buildings of freshly loaded chunks get colliders a few at a time...
+const PHYSICS_NOW_DISTANCE = 250;  // ...except those this close to the player, which can't wait (past the hook range)
 
 export class City {
-    constructor(scene) {
+    // level: parsed level file or generated city, see Level.js for the format
+    constructor(scene, level) {
         this.scene = scene;
-        this.buildings = [];
-        this.wall = null;
+        this.level = level;
+        this.streetPieces = new Map(); // Chunk key -> street pieces inside that chunk
+        this.streetMeshes = new Map(); // Chunk key -> merged street mesh, for chunks in view
+        this.streetMaterial = new THREE.MeshStandardMaterial({ color: 0x3a3a3a, roughness: 0.95 });
+        this.buildings = []; // { config, baseSize, matrix, body, stairs, footprints, height, health, maxHealth, destroyed, station, renderSlot }
+        this.models = new Map(); // Loaded building models by path, drawn instanced by buildingRenderer
+        this.buildingRenderer = new BuildingRenderer(scene);
+        this.stairMaterial = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.9 });
+        this.resupplyStations = []; // { position, building, mesh }
+        this.walls = new Walls(scene, level.walls);
+        this.debris = new Debris(scene);
         this.ground = null;
+        // 'buildingsChanged' fires when buildings or walls go up and when buildings collapse,
+        // 'buildingCollapsed' (building) just before a collapsing building's bodies are removed
+        this.listeners = {};
+
+        // The world is split into chunks; only those near the player get colliders and street meshes
+        this.physicsChunks = new ChunkStreamer({
+            radius: PHYSICS_CHUNKS,
+            onLoad: key => this.loadBuildingPhysics(key),
+            onUnload: key => this.unloadBuildingPhysics(key)
+        });
+        this.physicsQueue = []; // Buildings waiting for colliders
+        this.viewChunks = new ChunkStreamer({
+            radius: VIEW_CHUNKS,
+            onLoad: key => this.loadStreets(key),
+            onUnload: key => this.unloadStreets(key)
+        });
+
+        this.ready = this.init(); // Resolves once buildings and walls are up
+        this.stream(new THREE.Vector3().fromArray(level.spawn.player));
+    }
+
+    on(event, callback) {
+        (this.listeners[event] ||= []).push(callback);
+    }
 
-        this.init();
+    emit(event, data) {
+        (this.listeners[event] || []).forEach(callback => callback(data));
     }
 
     init() {
         this.createGround();
-        this.createWall();
-        this.createBuildings();
+        const walls = this.createWalls();
+        this.createStreets();
+        return Promise.all([walls, this.createBuildings()]);
     }
 
     createGround() {
         // Large Circular Ground
-        const radius = 700;
+        const radius = this.level.ground.radius;
         const geometry = new THREE.CircleGeometry(radius, 64);
         const material = new THREE.MeshStandardMaterial({ color: 0x555555, roughness: 0.8 });
         this.ground = new THREE.Mesh(geometry, material);
@@ -33,223 +79,509 @@ export class City {
         const bodyDesc = rapier.RigidBodyDesc.fixed();
         const body = world.createRigidBody(bodyDesc);
         const colliderDesc = rapier.ColliderDesc.cylinder(0.1, radius)
-            .setCollisionGroups(0x0002FFFF);
+            .setCollisionGroups(collisionGroups(GROUP.GROUND));
         world.createCollider(colliderDesc, body);
     }
 
-    createWall() {
-        const loader = new FBXLoader();
-        const baseUrl = import.meta.env.BASE_URL.endsWith('/') ? import.meta.env.BASE_URL : import.meta.env.BASE_URL + '/';
-        const modelPath = `${baseUrl}wall.fbx`;
+    // Wall rings with gates; they are navigation obstacles too, so paths get rebuilt once they stand
+    createWalls() {
+        return this.walls.build().then(() => this.emit('buildingsChanged'));
+    }
 
-        loader.load(modelPath, (fbx) => {
-            console.log('✅ Wall FBX Loaded');
+    // Loads the chunks around a position (the player's) and drops those far behind. Part of the
+    // fixed step, so colliders come and go on the same ticks when a replay runs
+    stream(position) {
+        this.physicsChunks.update(position.x, position.z);
+        this.viewChunks.update(position.x, position.z);
+        this.loadQueuedPhysics(position);
+    }
 
-            const box = new THREE.Box3().setFromObject(fbx);
-            const size = new THREE.Vector3();
-            box.getSize(size);
+    // Nearest first, so a long queue (after respawning somewhere else) never leaves the player without colliders
+    loadQueuedPhysics(position) {
+        if (this.physicsQueue.length === 0) return;
+
+        const distance = building => Math.hypot(building.config.position[0] - position.x, building.config.position[1] - position.z);
+        this.physicsQueue.sort((a, b) => distance(a) - distance(b));
+        let loaded = 0;
+        while (this.physicsQueue.length && (loaded < PHYSICS_LOADS_PER_STEP || distance(this.physicsQueue[0]) < PHYSICS_NOW_DISTANCE)) {
+            const building = this.physicsQueue.shift();
+            if (building.body || building.destroyed || !this.physicsChunks.isLoaded(...building.config.position)) continue;
+            this.addBuildingPhysics(building);
+            loaded++;
+        }
+    }
 
-            const targetHeight = 50;
-            const scale = targetHeight / size.y;
-            fbx.scale.set(scale, scale, scale);
+    // Moving parts of the city, once per fixed step
+    update(dt) {
+        this.walls.update(dt);
+        this.debris.update(dt);
+    }
 
-            box.setFromObject(fbx);
-            const center = new THREE.Vector3();
-            box.getCenter(center);
+    // Called after every physics step
+    capturePhysicsState() {
+        this.debris.capturePhysicsState();
+    }
 
-            fbx.position.set(-center.x, -center.y, -center.z);
-            this.scene.add(fbx);
+    // Called once per rendered frame
+    render(camera, alpha) {
+        this.buildingRenderer.update(camera.position, this.buildings);
+        this.debris.render(alpha);
+    }
 
-            // Physics
-            fbx.traverse((child) => {
-                if (child.isMesh) {
-                    const scaledGeo = child.geometry.clone();
-                    scaledGeo.scale(scale, scale, scale);
+    // Streets are cut at chunk borders, each chunk's pieces get merged into one mesh when it comes into view
+    createStreets() {
+        for (const street of this.level.streets) {
+            const [fromX, fromZ] = street.from;
+            const [toX, toZ] = street.to;
+            const dx = toX - fromX;
+            const dz = toZ - fromZ;
+
+            // Where the street crosses a chunk border
+            const cuts = [0, 1];
+            for (const [from, delta] of [[fromX, dx], [fromZ, dz]]) {
+                if (delta === 0) continue;
+                const first = Math.ceil(Math.min(from, from + delta) / CHUNK_SIZE);
+                const last = Math.floor(Math.max(from, from + delta) / CHUNK_SIZE);
+                for (let k = first; k <= last; k++) cuts.push((k * CHUNK_SIZE - from) / delta);
+            }
+            cuts.sort((a, b) => a - b);
+
+            for (let i = 0; i < cuts.length - 1; i++) {
+                const [t0, t1] = [cuts[i], cuts[i + 1]];
+                if (t1 - t0 < 1e-6) continue;
+                const mid = (t0 + t1) / 2;
+                const key = chunkKey(...chunkOf(fromX + dx * mid, fromZ + dz * mid));
+                if (!this.streetPieces.has(key)) this.streetPieces.set(key, []);
+                this.streetPieces.get(key).push({ street, t0, t1 });
+            }
+        }
+    }
 
-                    const scaledPositions = scaledGeo.attributes.position.array;
-                    let scaledIndices = scaledGeo.index ? scaledGeo.index.array : undefined;
+    loadStreets(key) {
+        const pieces = this.streetPieces.get(key);
+        if (!pieces) return;
+
+        const geometries = pieces.map(({ street, t0, t1 }) => {
+            const [fromX, fromZ] = street.from;
+            const [toX, toZ] = street.to;
+            const dx = toX - fromX;
+            const dz = toZ - fromZ;
+            const length = Math.hypot(dx, dz);
+            // The street's own ends overlap at corners and ring joints
+            const start = t0 * length - (t0 === 0 ? street.width / 2 : 0);
+            const end = t1 * length + (t1 === 1 ? street.width / 2 : 0);
+            const center = length ? (start + end) / 2 / length : 0;
+            const geometry = new THREE.PlaneGeometry(end - start, street.width);
+            geometry.rotateX(-Math.PI / 2);
+            geometry.rotateY(Math.atan2(-dz, dx));
+            geometry.translate(fromX + dx * center, 0.02, fromZ + dz * center);
+            return geometry;
+        });
 
-                    if (!scaledIndices) {
-                        const count = scaledPositions.length / 3;
-                        scaledIndices = new Uint32Array(count);
-                        for (let i = 0; i < count; i++) scaledIndices[i] = i;
-                    }
+        const mesh = new THREE.Mesh(mergeGeometries(geometries), this.streetMaterial);
+        mesh.receiveShadow = true;
+        mesh.matrixAutoUpdate = false;
+        this.scene.add(mesh);
+        this.streetMeshes.set(key, mesh);
+        geometries.forEach(geometry => geometry.dispose());
+    }
 
-                    const bodyDesc = rapier.RigidBodyDesc.fixed();
-                    const body = world.createRigidBody(bodyDesc);
+    unloadStreets(key) {
+        const mesh = this.streetMeshes.get(key);
+        if (!mesh) return;
+        this.scene.remove(mesh);
+        mesh.geometry.dispose();
+        this.streetMeshes.delete(key);
+    }
 
-                    const colliderDesc = rapier.ColliderDesc.trimesh(scaledPositions, scaledIndices);
-                    if (colliderDesc) world.createCollider(colliderDesc, body);
-                }
+    createBuildings() {
+        // Models are usually preloaded with the level, so this resolves at once; each is instanced for every building using it
+        const modelNames = [...new Set(this.level.buildings.map(config => config.model))];
+        const loads = modelNames.map(name => assets.load(name)
+            .then((model) => {
+                console.log(`✅ Building ${name} Loaded`);
+                return model;
+            })
+            .catch((err) => {
+                console.error(`❌ Error loading ${name}:`, err);
+                return null;
+            }));
+
+        return Promise.all(loads).then((loaded) => {
+            modelNames.forEach((name, i) => {
+                if (!loaded[i]) return;
+                this.models.set(name, loaded[i]);
+                this.buildingRenderer.addModel(name, loaded[i]);
             });
+            const placed = this.level.buildings.map(config => this.models.has(config.model)
+                ? this.addBuilding(config)
+                : null);
 
-        }, undefined, (err) => {
-            console.error('❌ Error loading wall.fbx:', err);
+            console.log(`🏠 Spawned ${this.buildings.length} buildings (${this.level.name ?? 'unnamed level'})`);
+            this.addResupplyStations(placed);
+            this.emit('buildingsChanged');
         });
     }
 
-    createBuildings() {
-        const loader = new GLTFLoader();
-        const baseUrl = import.meta.env.BASE_URL.endsWith('/') ? import.meta.env.BASE_URL : import.meta.env.BASE_URL + '/';
-        const modelPath = `${baseUrl}building.glb`;
-
-        loader.load(modelPath, (gltf) => {
-            console.log('✅ Building GLB Loaded');
-
-            const originalModel = gltf.scene;
-
-            // Measure original size
-            const box = new THREE.Box3().setFromObject(originalModel);
-            const originalSize = new THREE.Vector3();
-            box.getSize(originalSize);
-
-            // Generate random buildings (3x denser)
-            const buildingConfigs = [];
-            const cityRadius = 140;
-            const minDistance = 20; // Min distance between buildings
-            const numBuildings = 60; // 3x more buildings
-
-            // Generate random positions
-            for (let i = 0; i < numBuildings; i++) {
-                let x, z, valid;
-                let attempts = 0;
-
-                do {
-                    valid = true;
-                    const angle = Math.random() * Math.PI * 2;
-                    const dist = 40 + Math.random() * (cityRadius - 40);
-                    x = Math.cos(angle) * dist;
-                    z = Math.sin(angle) * dist;
-
-                    // Check distance from other buildings
-                    for (const config of buildingConfigs) {
-                        const dx = x - config.x;
-                        const dz = z - config.z;
-                        if (Math.sqrt(dx * dx + dz * dz) < minDistance) {
-                            valid = false;
-                            break;
-                        }
-                    }
-                    attempts++;
-                } while (!valid && attempts < 50);
-
-                if (valid) {
-                    // Random height: 5-25m
-                    const height = 5 + Math.random() * 20;
-                    const rotation = Math.random() * Math.PI * 2;
-                    buildingConfigs.push({ x, z, height, rotation });
-                }
-            }
+    // Builds a building from its level entry; its model must already be loaded
+    addBuilding(config) {
+        const originalModel = this.models.get(config.model);
+
+        // Measure original size
+        const box = new THREE.Box3().setFromObject(originalModel);
+        const baseSize = new THREE.Vector3();
+        box.getSize(baseSize);
+
+        const building = {
+            config,
+            baseSize,
+            matrix: new THREE.Matrix4(),
+            body: null,
+            stairs: { mesh: null, body: null },
+            footprints: [],
+            height: 0,
+            health: 0,
+            maxHealth: 0,
+            destroyed: false,
+            station: null,
+            renderSlot: null // Where buildingRenderer currently draws it
+        };
+        this.buildBuilding(building);
+        this.buildings.push(building);
+        return building;
+    }
+
+    // Places the model and sets up the footprint from the building's config; colliders and stairs
+    // follow if its chunk is loaded
+    buildBuilding(building) {
+        const { config, baseSize } = building;
+        const [x, z] = config.position;
+        const [width, height, depth] = config.size;
+        const rotation = config.rotation;
+
+        // The model is stretched to fill its lot
+        building.matrix.compose(
+            new THREE.Vector3(x, 0, z),
+            new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), rotation),
+            new THREE.Vector3(width / baseSize.x, height / baseSize.y, depth / baseSize.z)
+        );
+        this.buildingRenderer.invalidate();
+
+        // Ground footprint (rotated rectangles) used by titan navigation.
+        // Stairs are left out: titans step straight over them.
+        building.footprints = [{
+            x,
+            z,
+            ux: Math.cos(rotation),
+            uz: -Math.sin(rotation),
+            halfU: width / 2,
+            halfV: depth / 2
+        }];
+
+        building.height = height;
+        building.maxHealth = 50 + height * 10;
+        building.health = building.maxHealth;
+
+        if (this.physicsChunks.isLoaded(x, z)) this.addBuildingPhysics(building);
+    }
 
-            buildingConfigs.forEach((config, index) => {
-                // Clone the model
-                const building = originalModel.clone();
-
-                // Calculate scale for target height
-                const scale = config.height / originalSize.y;
-                building.scale.set(scale, scale, scale);
-
-                // Position and rotate
-                building.position.set(config.x, 0, config.z);
-                building.rotation.y = config.rotation;
-
-                // Enable shadows
-                building.traverse((child) => {
-                    if (child.isMesh) {
-                        child.castShadow = true;
-                        child.receiveShadow = true;
-                    }
-                });
-
-                this.scene.add(building);
-                this.buildings.push(building);
-
-                // Physics - box collider based on scaled size
-                const scaledWidth = originalSize.x * scale;
-                const scaledHeight = originalSize.y * scale;
-                const scaledDepth = originalSize.z * scale;
-
-                const bodyDesc = rapier.RigidBodyDesc.fixed()
-                    .setTranslation(config.x, 0, config.z)
-                    .setRotation({
-                        x: 0,
-                        y: Math.sin(config.rotation / 2),
-                        z: 0,
-                        w: Math.cos(config.rotation / 2)
-                    });
-                const rigidBody = world.createRigidBody(bodyDesc);
-
-                // Main body collider
-                const bodyCollider = rapier.ColliderDesc.cuboid(
-                    scaledWidth / 2,
-                    scaledHeight / 2,
-                    scaledDepth / 2
-                ).setTranslation(0, scaledHeight / 2, 0);
-                world.createCollider(bodyCollider, rigidBody);
-
-                // Add stairs for ALL buildings (scaled to size)
-                this.addStairs(rigidBody, scaledWidth, scaledHeight, scaledDepth, config.rotation);
+    addBuildingPhysics(building) {
+        const { config, baseSize } = building;
+        const [x, z] = config.position;
+        const [width, height, depth] = config.size;
+        const rotation = config.rotation;
+
+        const bodyDesc = rapier.RigidBodyDesc.fixed()
+            .setTranslation(x, 0, z)
+            .setRotation({
+                x: 0,
+                y: Math.sin(rotation / 2),
+                z: 0,
+                w: Math.cos(rotation / 2)
             });
+        building.body = world.createRigidBody(bodyDesc);
+
+        // Main body colliders: shaped after the model when its level entry asks for it, a box otherwise
+        const scale = new THREE.Vector3(width / baseSize.x, height / baseSize.y, depth / baseSize.z);
+        const colliders = buildingColliderDescs(this.models.get(config.model), this.colliderQuality(config.model), scale)
+            ?? [rapier.ColliderDesc.cuboid(width / 2, height / 2, depth / 2).setTranslation(0, height / 2, 0)];
+        colliders.forEach(collider => {
+            world.createCollider(collider.setCollisionGroups(collisionGroups(GROUP.BUILDING)), building.body);
+        });
 
-            console.log(`🏠 Spawned ${this.buildings.length} buildings with model`);
+        building.stairs = config.stairs
+            ? this.addStairs(building.body, width, height, depth, rotation)
+            : { mesh: null, body: null };
+        this.buildingRenderer.invalidate(); // Shows the new staircase
+    }
 
-        }, undefined, (err) => {
-            console.error('❌ Error loading building.glb:', err);
-        });
+    // Standing buildings of a chunk
+    buildingsInChunk(key) {
+        return this.buildings.filter(building => !building.destroyed &&
+            chunkKey(...chunkOf(...building.config.position)) === key);
     }
 
-    addStairs(rigidBody, houseWidth, houseHeight, houseDepth, rotation) {
-        const stairMaterial = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.9 });
+    loadBuildingPhysics(key) {
+        this.physicsQueue.push(...this.buildingsInChunk(key).filter(building => !building.body));
+    }
+
+    unloadBuildingPhysics(key) {
+        this.buildingsInChunk(key)
+            .filter(building => building.body)
+            .forEach(building => this.removeBuildingPhysics(building));
+    }
 
+    colliderQuality(model) {
+        return this.level.models[model]?.collider ?? 'box';
+    }
+
+    // Level editor: switches the collider quality of every building using a model
+    setColliderQuality(model, quality) {
+        this.level.models[model] = { ...this.level.models[model], collider: quality };
+        this.buildings
+            .filter(building => building.config.model === model && !building.destroyed)
+            .forEach(building => {
+                this.removeBuildingPhysics(building);
+                this.buildBuilding(building);
+            });
+        this.emit('buildingsChanged');
+    }
+
+    // Level editor: applies a changed config, rebuilding colliders, stairs and the roof station
+    rebuildBuilding(building) {
+        this.removeBuildingPhysics(building);
+        this.buildBuilding(building);
+        if (building.station) {
+            building.station.position.set(building.config.position[0], building.height, building.config.position[1]);
+            building.station.mesh.position.copy(building.station.position);
+        }
+        this.emit('buildingsChanged');
+    }
+
+    removeBuildingPhysics(building) {
+        if (building.body) world.removeRigidBody(building.body);
+        building.body = null;
+        const { mesh, body } = building.stairs;
+        if (mesh) {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+        }
+        if (body) world.removeRigidBody(body);
+        building.stairs = { mesh: null, body: null };
+    }
+
+    // One merged mesh and one compound body per staircase, running up the building's front
+    addStairs(rigidBody, houseWidth, houseHeight, houseDepth, rotation) {
         // Scale stairs based on house size
         const scaleFactor = Math.max(houseHeight / 10, 0.5);
         const stepHeight = 0.5;
         const numSteps = Math.floor(houseHeight / stepHeight);
         const stepDepth = 1.5 * scaleFactor;
         const stepWidth = Math.min(3 * scaleFactor, houseWidth * 0.8);
+        if (numSteps === 0) return { mesh: null, body: null };
 
+        // Steps are laid out in the house's frame: +x is the front
         const worldPos = rigidBody.translation();
-        const cos = Math.cos(rotation);
-        const sin = Math.sin(rotation);
+        const body = world.createRigidBody(rapier.RigidBodyDesc.fixed()
+            .setTranslation(worldPos.x, 0, worldPos.z)
+            .setRotation(rigidBody.rotation()));
 
+        const steps = [];
         for (let s = 0; s < numSteps; s++) {
-            // Local position relative to house
             const localX = houseWidth / 2 + stepDepth / 2 + (numSteps - 1 - s) * stepDepth;
             const localY = stepHeight / 2 + s * stepHeight;
-            const localZ = 0;
-
-            // Rotate around house center to get world position
-            const rotX = localX * cos - localZ * sin;
-            const rotZ = localX * sin + localZ * cos;
-            const worldX = worldPos.x + rotX;
-            const worldZ = worldPos.z + rotZ;
-
-            // Visual stairs
-            const stepGeo = new THREE.BoxGeometry(stepWidth, stepHeight, stepDepth);
-            const stepMesh = new THREE.Mesh(stepGeo, stairMaterial);
-            stepMesh.position.set(worldX, localY, worldZ);
-            stepMesh.rotation.y = rotation;
-            stepMesh.castShadow = true;
-            stepMesh.receiveShadow = true;
-            this.scene.add(stepMesh);
-
-            // Physics - create separate fixed body for each step
-            const stepBodyDesc = rapier.RigidBodyDesc.fixed()
-                .setTranslation(worldX, localY, worldZ)
-                .setRotation({
-                    x: 0,
-                    y: Math.sin(rotation / 2),
-                    z: 0,
-                    w: Math.cos(rotation / 2)
-                });
-            const stepBody = world.createRigidBody(stepBodyDesc);
-
-            const stepCollider = rapier.ColliderDesc.cuboid(
-                stepWidth / 2,
-                stepHeight / 2,
-                stepDepth / 2
-            ).setCollisionGroups(0x0004FFFD); // Group 4, collide with all except Titan (group 2)
-            world.createCollider(stepCollider, stepBody);
+            steps.push({ size: [stepDepth, stepHeight, stepWidth], center: [localX, localY, 0] });
+
+            const stepCollider = rapier.ColliderDesc.cuboid(stepDepth / 2, stepHeight / 2, stepWidth / 2)
+                .setTranslation(localX, localY, 0)
+                .setCollisionGroups(collisionGroups(GROUP.STAIRS, GROUP.ALL & ~GROUP.TITAN)); // Titans walk through stairs
+            world.createCollider(stepCollider, body);
+        }
+
+        const mesh = new THREE.Mesh(mergeBoxes(steps), this.stairMaterial);
+        mesh.position.set(worldPos.x, 0, worldPos.z);
+        mesh.rotation.y = rotation;
+        mesh.matrixAutoUpdate = false; // Never moves, saves a matrix update per staircase every frame
+        mesh.updateMatrix();
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        this.scene.add(mesh);
+
+        return { mesh, body };
+    }
+
+    // Gas and blade resupply points from the level, on roofs or free standing.
+    // placed: built buildings in level order (null where the model failed to load)
+    addResupplyStations(placed) {
+        for (const point of this.level.resupply) {
+            const building = point.building !== undefined ? placed[point.building] : null;
+            if (point.building !== undefined && !building) continue;
+
+            const position = building
+                ? new THREE.Vector3(building.config.position[0], building.height, building.config.position[1])
+                : new THREE.Vector3().fromArray(point.position);
+            const station = { position, building, mesh: this.createResupplyMesh() };
+            station.mesh.position.copy(position);
+            this.scene.add(station.mesh);
+
+            if (building) building.station = station;
+            this.resupplyStations.push(station);
+        }
+
+        console.log(`⛽ Placed ${this.resupplyStations.length} resupply stations`);
+    }
+
+    createResupplyMesh() {
+        const group = new THREE.Group();
+
+        // Supply crates
+        const crateMat = new THREE.MeshStandardMaterial({ color: 0x6b4f2a, roughness: 0.9 });
+        const crate = new THREE.Mesh(new THREE.BoxGeometry(2, 1.2, 1.2), crateMat);
+        crate.position.y = 0.6;
+        crate.castShadow = true;
+        group.add(crate);
+
+        // Green beacon so stations can be found from a distance
+        const beaconMat = new THREE.MeshBasicMaterial({ color: 0x33ff66, transparent: true, opacity: 0.35, depthWrite: false });
+        const beacon = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.4, 40, 8, 1, true), beaconMat);
+        beacon.position.y = 20;
+        group.add(beacon);
+
+        return group;
+    }
+
+    // Closest resupply station within reach of a position, or null
+    findResupplyStation(position, radius = 4) {
+        let nearest = null;
+        let nearestDist = radius;
+        for (const station of this.resupplyStations) {
+            const dist = station.position.distanceTo(position);
+            if (dist < nearestDist) {
+                nearest = station;
+                nearestDist = dist;
+            }
+        }
+        return nearest;
+    }
+
+    // Footprints of every standing building and the wall rings, for navigation
+    getObstacles() {
+        return this.buildings
+            .filter(building => !building.destroyed)
+            .flatMap(building => building.footprints)
+            .concat(this.walls.getObstacles());
+    }
+
+    // Buildings whose footprint overlaps a circle on the ground
+    getBuildingsInRadius(position, radius) {
+        return this.buildings.filter(building => !building.destroyed &&
+            building.footprints.some(rect => {
+                const dx = position.x - rect.x;
+                const dz = position.z - rect.z;
+                const u = Math.abs(dx * rect.ux + dz * rect.uz);
+                const v = Math.abs(-dx * rect.uz + dz * rect.ux);
+                return u <= rect.halfU + radius && v <= rect.halfV + radius;
+            }));
+    }
+
+    // point: where the blow landed, knocks a few pieces off the facade
+    damageBuilding(building, damage, point = null) {
+        if (building.destroyed) return;
+
+        building.health -= damage;
+        if (building.health <= 0) {
+            this.destroyBuilding(building, point);
+        } else if (point) {
+            const { surface, normal } = this.nearestFacade(building, point);
+            this.debris.chip(surface, normal);
         }
     }
+
+    // Breaks the building into falling chunks that settle as rubble
+    destroyBuilding(building, point = null) {
+        building.destroyed = true;
+        building.health = 0;
+        console.log('🏚️ Building collapsed!');
+
+        this.emit('buildingCollapsed', building);
+        this.buildingRenderer.invalidate();
+        this.removeBuildingPhysics(building);
+        this.removeStation(building); // The roof's resupply station goes down with it
+
+        const push = point ? this.nearestFacade(building, point).normal.negate() : null;
+        this.debris.shatter(building, push);
+
+        this.emit('buildingsChanged');
+    }
+
+    // Rigid bodies of a building, to drop anything attached to them
+    getBodyHandles(building) {
+        return [building.body, building.stairs.body].filter(Boolean).map(body => body.handle);
+    }
+
+    // Closest point on the building's walls to a point outside, and the outward direction there
+    nearestFacade(building, point) {
+        const rect = building.footprints[0];
+        const dx = point.x - rect.x;
+        const dz = point.z - rect.z;
+        const u = THREE.MathUtils.clamp(dx * rect.ux + dz * rect.uz, -rect.halfU, rect.halfU);
+        const v = THREE.MathUtils.clamp(-dx * rect.uz + dz * rect.ux, -rect.halfV, rect.halfV);
+        const surface = new THREE.Vector3(
+            rect.x + u * rect.ux - v * rect.uz,
+            THREE.MathUtils.clamp(point.y, 1, building.height - 1),
+            rect.z + u * rect.uz + v * rect.ux
+        );
+        const normal = new THREE.Vector3(point.x - surface.x, 0, point.z - surface.z);
+        if (normal.lengthSq() < 1e-6) normal.set(dx, 0, dz);
+        return { surface, normal: normal.normalize() };
+    }
+
+    // Level editor: takes a building out of the level entirely
+    removeBuilding(building) {
+        this.buildingRenderer.invalidate();
+        this.removeBuildingPhysics(building);
+        this.removeStation(building);
+        this.buildings = this.buildings.filter(other => other !== building);
+        this.physicsQueue = this.physicsQueue.filter(other => other !== building); // Its chunk may still be loading
+
+        this.emit('buildingsChanged');
+    }
+
+    removeStation(building) {
+        if (!building.station) return;
+        this.scene.remove(building.station.mesh);
+        this.resupplyStations = this.resupplyStations.filter(station => station !== building.station);
+        building.station = null;
+    }
+}
+
+const UNIT_BOX = new THREE.BoxGeometry(1, 1, 1);
+
+// One geometry for many boxes ({ size, center }), written straight into the buffers: staircases
+// stream in with their chunks, and building a BoxGeometry per step and merging them is slow
+function mergeBoxes(boxes) {
+    const position = UNIT_BOX.getAttribute('position').array;
+    const normal = UNIT_BOX.getAttribute('normal').array;
+    const uv = UNIT_BOX.getAttribute('uv').array;
+    const index = UNIT_BOX.index.array;
+    const vertexCount = position.length / 3;
+
+    const positions = new Float32Array(boxes.length * position.length);
+    const normals = new Float32Array(boxes.length * normal.length);
+    const uvs = new Float32Array(boxes.length * uv.length);
+    const indices = new Uint32Array(boxes.length * index.length);
+    boxes.forEach(({ size, center }, b) => {
+        const offset = b * position.length;
+        for (let i = 0; i < position.length; i++) positions[offset + i] = position[i] * size[i % 3] + center[i % 3];
+        normals.set(normal, b * normal.length);
+        uvs.set(uv, b * uv.length);
+        for (let i = 0; i < index.length; i++) indices[b * index.length + i] = index[i] + b * vertexCount;
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    return geometry;
 }
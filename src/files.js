@@ -0,0 +1,9 @@
+// Saves data as a JSON file through the browser's download prompt
+export function downloadJSON(data, filename) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
@@ -1,13 +1,31 @@
 import RAPIER from '@dimforge/rapier3d-compat';
 
 export const GRAVITY = { x: 0.0, y: -20.0, z: 0.0 };
+export const FIXED_TIMESTEP = 1 / 60; // Physics always advances in 60 Hz steps
 export let world;
 export let rapier;
 
+// Collision groups: the upper 16 bits are what a collider is, the lower 16 bits what it collides with
+export const GROUP = {
+    PLAYER: 0x0001,
+    GROUND: 0x0002,
+    STAIRS: 0x0004,
+    BUILDING: 0x0008,
+    TITAN: 0x0010,
+    WALL: 0x0020,
+    DEBRIS: 0x0040,
+    ALL: 0xFFFF
+};
+
+export function collisionGroups(membership, filter = GROUP.ALL) {
+    return ((membership << 16) | filter) >>> 0;
+}
+
 export async function initPhysics() {
     await RAPIER.init();
     rapier = RAPIER;
     world = new RAPIER.World(GRAVITY);
+    world.timestep = FIXED_TIMESTEP;
     console.log("Rapier Physics initialized");
     return world;
 }
@@ -1,105 +1,75 @@
 import * as THREE from 'three';
-import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { rapier, world } from './physics.js';
+import { rapier, world, GROUP, collisionGroups } from './physics.js';
+import { InterpolatedBody } from './GameLoop.js';
+import { Blades } from './Blades.js';
+import { InputController } from './InputController.js';
+import { assets } from './Assets.js';
+import { AnimationController } from './AnimationController.js';
+import { PlayerRig } from './PlayerRig.js';
+
+const WALL_RUN_SPEED = 8;   // Airborne players faster than this run along walls beside them
+const WALL_RUN_REACH = 1.2; // How far to the side a wall can be (m)
+const HARD_LANDING = 0.5;   // Time in the air (s) after which touching down plays the landing
+const SPIN_SPEED = 15;      // Attacking in the air faster than this spins instead of swinging
+
+// On the ground, or only just off it (steps, small hops)
+const onFoot = p => p.grounded || (!p.hooked && p.airTime <= 0.25);
 
 export class Player {
-    constructor(scene, position = { x: 0, y: 5, z: 0 }) {
+    constructor(scene, position = { x: 0, y: 5, z: 0 }, input = new InputController()) {
         this.scene = scene;
+        this.input = input;
         this.mesh = null;
         this.body = null;
         this.mixer = null;
-        this.animations = {};
-        this.currentAction = null;
+        this.animation = null;
+        this.rig = null; // Procedural lean and IK, only for the real model
+        this.airTime = 0;
+        this.wallNormal = null; // Wall being run along
         this.init(position);
     }
 
     init(position) {
-        // Temporary placeholder
-        const geometry = new THREE.CapsuleGeometry(0.5, 1, 4, 8);
-        const material = new THREE.MeshStandardMaterial({ color: 0xffff00, transparent: true, opacity: 0.5 });
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.scene.add(this.mesh);
-
-        // Load Model
-        const loader = new FBXLoader();
-        const baseUrl = import.meta.env.BASE_URL.endsWith('/') ? import.meta.env.BASE_URL : import.meta.env.BASE_URL + '/';
-        const modelPath = `${baseUrl}go.fbx`;
-        console.log('Loading model from:', modelPath);
-
-        loader.load(modelPath, (fbx) => {
-            console.log('✅ FBX Loaded', fbx);
-
-            fbx.traverse((child) => {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
-            });
-
-            // Auto-scale
-            const box = new THREE.Box3().setFromObject(fbx);
-            const size = new THREE.Vector3();
-            box.getSize(size);
-            const targetHeight = 2.5;
-            const scaleFactor = targetHeight / size.y;
-            fbx.scale.set(scaleFactor, scaleFactor, scaleFactor);
-            fbx.position.y = -1.0;
-
-            // Replace placeholder
-            this.scene.remove(this.mesh);
-            this.mesh = new THREE.Group();
-            this.mesh.add(fbx);
+        // Model and clips come preloaded (Assets.js); the capsule stands in if go.fbx isn't there
+        const fbx = assets.instance('go.fbx');
+        if (fbx) {
+            this.setupModel(fbx);
+        } else {
+            console.warn('⚠️ Player model not loaded, using a placeholder');
+            const geometry = new THREE.CapsuleGeometry(0.5, 1, 4, 8);
+            const material = new THREE.MeshStandardMaterial({ color: 0xffff00, transparent: true, opacity: 0.5 });
+            this.mesh = new THREE.Mesh(geometry, material);
             this.scene.add(this.mesh);
+        }
 
-            // Animation
-            this.mixer = new THREE.AnimationMixer(fbx);
-            if (fbx.animations && fbx.animations.length > 0) {
-                const action = this.mixer.clipAction(fbx.animations[0]);
-                this.animations['Walk'] = action;
-                this.currentAction = action;
-                action.play();
-                console.log('✅ Animation playing');
-            }
-
-            // Load Run animation
-            const runLoader = new FBXLoader();
-            runLoader.load(`${baseUrl}run.fbx`, (runFbx) => {
-                console.log('✅ Run FBX loaded');
-                if (runFbx.animations && runFbx.animations.length > 0) {
-                    const runAction = this.mixer.clipAction(runFbx.animations[0]);
-                    this.animations['Run'] = runAction;
-                    console.log('✅ Run animation added');
-                }
-            });
-
-            // Load Attack animation
-            const attackLoader = new FBXLoader();
-            attackLoader.load(`${baseUrl}attack.fbx`, (attackFbx) => {
-                console.log('✅ Attack FBX loaded');
-                if (attackFbx.animations && attackFbx.animations.length > 0) {
-                    const attackAction = this.mixer.clipAction(attackFbx.animations[0]);
-                    attackAction.setLoop(THREE.LoopOnce); // Play only once
-                    attackAction.clampWhenFinished = true; // Stop at last frame
-                    attackAction.timeScale = 0.5; // Slow down to 50% speed (make it longer)
-                    this.animations['Attack'] = attackAction;
-                    console.log('✅ Attack animation added');
-
-                    // Return to Idle/Run after attack finishes
-                    this.mixer.addEventListener('finished', (e) => {
-                        if (e.action === attackAction) {
-                            attackAction.fadeOut(0.2);
-                            this.currentAction = this.animations['Idle']; // Default back to idle
-                            if (this.currentAction) this.currentAction.reset().fadeIn(0.2).play();
-                        }
-                    });
-                }
-            }, undefined, (err) => {
-                console.warn('⚠️ Attack animation file missing (attack.fbx)');
-            });
-
-        }, undefined, (error) => {
-            console.error('❌ Error loading model:', error);
+        // Animation graph: walk or run by speed on foot; swing, fall or wall-run in the air; attacks,
+        // spins, vaults and landings play over them. The airborne states have no clips, PlayerRig poses them.
+        const walkClip = fbx?.animations[0];
+        const runClip = assets.clip('run.fbx');
+        const attackClip = assets.clip('attack.fbx');
+        this.animation = new AnimationController(this.mixer, {
+            initial: 'Idle',
+            states: {
+                Idle: {},
+                Walk: { clip: walkClip },
+                Run: { clip: runClip ?? walkClip }, // The walk stands in for a missing run clip
+                Swing: {},
+                Fall: {},
+                WallRun: { clip: runClip ?? walkClip },
+                Attack: { clip: attackClip, loop: false, timeScale: 0.5, fade: 0.1 },
+                Spin: { clip: attackClip, loop: false, timeScale: 0.5, fade: 0.1 },
+                Vault: { loop: false, duration: 0.6 },
+                Land: { loop: false, duration: 0.35, fade: 0.05 }
+            },
+            transitions: [
+                { from: '*', to: 'WallRun', when: p => !onFoot(p) && p.nearWall, fade: 0.15 },
+                { from: '*', to: 'Swing', when: p => !onFoot(p) && !p.nearWall && p.hooked, fade: 0.3 },
+                { from: '*', to: 'Fall', when: p => !onFoot(p) && !p.nearWall && !p.hooked, fade: 0.3 },
+                { from: '*', to: 'Idle', when: p => onFoot(p) && p.speed <= 0.5 },
+                { from: '*', to: 'Run', when: p => onFoot(p) && p.speed > 0.5 && p.sprinting },
+                { from: '*', to: 'Walk', when: p => onFoot(p) && p.speed > 0.5 && !p.sprinting }
+            ],
+            params: { speed: 0, sprinting: false, grounded: true, hooked: false, airTime: 0, nearWall: false }
         });
 
         // Physics
@@ -108,6 +78,7 @@ export class Player {
             .setCanSleep(false)
             .lockRotations();
         this.body = world.createRigidBody(rigidBodyDesc);
+        this.interpolation = new InterpolatedBody(this.body);
 
         let colliderDesc = rapier.ColliderDesc.capsule(0.5, 0.5)
             .setFriction(1.0)
@@ -118,9 +89,14 @@ export class Player {
 
         // ODM Gear
         this.hooks = {
-            left: { state: 'IDLE', joint: null, line: null, arrow: null, target: new THREE.Vector3(), currentPos: new THREE.Vector3(), shootSpeed: 80.0 },
-            right: { state: 'IDLE', joint: null, line: null, arrow: null, target: new THREE.Vector3(), currentPos: new THREE.Vector3(), shootSpeed: 80.0 }
+            left: { state: 'IDLE', joint: null, length: 0, line: null, arrow: null, target: new THREE.Vector3(), anchorBody: null, anchorLocal: new THREE.Vector3(), currentPos: new THREE.Vector3(), shootSpeed: 80.0 },
+            right: { state: 'IDLE', joint: null, length: 0, line: null, arrow: null, target: new THREE.Vector3(), anchorBody: null, anchorLocal: new THREE.Vector3(), currentPos: new THREE.Vector3(), shootSpeed: 80.0 }
         };
+        // Static body for hits on colliders without a parent body (anchor is then in world space)
+        this.ropeAnchor = world.createRigidBody(rapier.RigidBodyDesc.fixed());
+        this.grabbedBy = null; // Titan holding the player
+        this.reelSpeed = 15.0;     // Rope wound in / let out per second
+        this.minRopeLength = 2.0;
         this.ropeMaterial = new THREE.LineBasicMaterial({ color: 0x333333, linewidth: 2 });
         this.arrowGeometry = new THREE.ConeGeometry(0.2, 0.5, 8);
         this.arrowGeometry.rotateX(Math.PI / 2);
@@ -129,6 +105,7 @@ export class Player {
         this.prevSpace = false;
         this.jumpCooldown = 0;
         this.maxHookDistance = 200.0; // Max hook range (200m)
+        this.gateReach = 30; // Gates can be opened and closed from this close
         this.prevVelocity = new THREE.Vector3(); // Track previous velocity for wall detection
 
         // Health Logic
@@ -142,6 +119,47 @@ export class Player {
         this.currentMana = 100;
         this.manaRegenRate = 100 / 60; // Full regen in 60 seconds
         this.createManaUI();
+
+        // Gas tank for the ODM gear - boosting and reeling burn it in proportion to the force applied
+        this.maxGas = 100;
+        this.currentGas = 100;
+        this.gasPerImpulse = 0.04;   // Gas spent per unit of impulse
+        this.emptyReelFactor = 0.3;  // Reel force left with an empty tank
+        this.gasRefillRate = 25;     // Per second at a resupply station
+        this.resupplyTimer = 0;
+        this.isResupplying = false;
+        this.createGasUI();
+
+        // Blades
+        this.blades = new Blades(this);
+    }
+
+    setupModel(fbx) {
+        fbx.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+
+        // Auto-scale
+        const box = new THREE.Box3().setFromObject(fbx);
+        const size = new THREE.Vector3();
+        box.getSize(size);
+        const targetHeight = 2.5;
+        const scaleFactor = targetHeight / size.y;
+        fbx.scale.set(scaleFactor, scaleFactor, scaleFactor);
+        fbx.position.y = -1.0;
+
+        // The rig leans and turns the model around the body's centre
+        const pivot = new THREE.Group();
+        pivot.add(fbx);
+        this.mesh = new THREE.Group();
+        this.mesh.add(pivot);
+        this.scene.add(this.mesh);
+
+        this.mixer = new THREE.AnimationMixer(fbx);
+        this.rig = new PlayerRig(fbx, pivot);
     }
 
     updateHealthUI() {
@@ -154,6 +172,7 @@ export class Player {
     takeDamage(damage) {
         this.currentHealth -= damage;
         this.updateHealthUI();
+        this.input.rumble(Math.min(1, 0.4 + damage / 30), 250);
         console.log(`Player hit! Health: ${this.currentHealth}`);
         if (this.currentHealth <= 0) {
             console.log("PLAYER DIED");
@@ -162,80 +181,47 @@ export class Player {
     }
 
     setupInput() {
-        this.keys = { w: false, a: false, s: false, d: false, space: false, q: false, e: false, r: false, shift: false, f: false };
-
-        window.addEventListener('keydown', (e) => {
-            switch (e.key.toLowerCase()) {
-                case 'w': this.keys.w = true; break;
-                case 'a': this.keys.a = true; break;
-                case 's': this.keys.s = true; break;
-                case 'd': this.keys.d = true; break;
-                case ' ': this.keys.space = true; break;
-                case 'shift': this.keys.shift = true; break;
-                case 'q': if (!this.keys.q) { this.keys.q = true; this.shootHook('right'); } break;
-                case 'e': if (!this.keys.e) { this.keys.e = true; this.shootHook('left'); } break;
-                case 'r': this.keys.r = true; break;
-                case 'f': if (!this.keys.f) { this.keys.f = true; this.healWithMana(); } break;
-            }
-        });
+        const input = this.input;
+        input.on('hookRight', () => this.shootHook('right'));
+        input.on('hookLeft', () => this.shootHook('left'));
+        input.on('heal', () => this.healWithMana());
+        input.on('reload', () => this.blades.reload());
+        input.on('attack', () => this.attack());
+        input.on('gate', () => this.toggleGate());
+    }
 
-        window.addEventListener('keyup', (e) => {
-            switch (e.key.toLowerCase()) {
-                case 'w': this.keys.w = false; break;
-                case 'a': this.keys.a = false; break;
-                case 's': this.keys.s = false; break;
-                case 'd': this.keys.d = false; break;
-                case ' ': this.keys.space = false; break;
-                case 'shift': this.keys.shift = false; break;
-                case 'q': this.keys.q = false; break;
-                case 'e': this.keys.e = false; break;
-                case 'r': this.keys.r = false; break;
-                case 'f': this.keys.f = false; break;
-            }
-        });
+    setTitanManager(titanManager) {
+        this.titanManager = titanManager;
+    }
 
-        window.addEventListener('mousedown', (e) => {
-            if (document.pointerLockElement !== document.body) return;
-            if (e.button === 0) this.attack();
-        });
+    setCity(city) {
+        this.city = city; // Resupply stations and gates
+        city.on('buildingCollapsed', building => this.releaseHooksOn(city.getBodyHandles(building)));
+    }
+
+    toggleGate() {
+        const gate = this.city?.walls.findGate(this.body.translation(), this.gateReach);
+        if (gate) this.city.walls.setGateOpen(gate, !gate.open);
     }
 
-    setTitanTarget(titan) {
-        this.titan = titan;
+    // Burns gas for an impulse of the given size, returns false when the tank is empty
+    useGas(impulse) {
+        if (this.currentGas <= 0) return false;
+        this.currentGas = Math.max(0, this.currentGas - impulse * this.gasPerImpulse);
+        this.updateGasUI();
+        return true;
     }
 
     attack() {
         const vel = this.body.linvel();
         const speed = Math.sqrt(vel.x ** 2 + vel.y ** 2 + vel.z ** 2);
-        console.log(`Attack! Speed: ${speed.toFixed(2)}`);
-
-        // Play Animation
-        if (this.animations['Attack']) {
-            const action = this.animations['Attack'];
-            if (this.currentAction !== action) {
-                if (this.currentAction) this.currentAction.fadeOut(0.1);
-                this.currentAction = action;
-                action.reset().fadeIn(0.1).play();
-            }
-        }
 
-        // Attack Logic
-        if (this.titan && this.titan.isAlive && this.titan.napeMesh) {
-            // Check distance to Nape
-            const playerPos = this.mesh.position;
-            const napePos = this.titan.napeMesh.getWorldPosition(new THREE.Vector3());
-            const dist = playerPos.distanceTo(napePos);
-
-            // Attack Range: 3 meters
-            if (dist < 3.0) {
-                // Calculate Damage based on Speed
-                // Base damage: 10
-                // Speed bonus: +2 damage per 1 m/s of speed
-                const damage = 10 + (speed * 2.0);
-
-                this.titan.takeDamage(damage);
-            }
-        }
+        // Swing along the camera aim - the blades do the hit detection while it plays out
+        const aim = this.lastCamDir ?? new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion);
+        const move = this.animation.params.grounded || speed < SPIN_SPEED ? 'Attack' : 'Spin';
+        if (!this.blades.startSwing(aim, this.animation.duration(move))) return;
+        console.log(`${move}! Speed: ${speed.toFixed(2)}`);
+        this.animation.play(move);
     }
 
     shootHook(side) {
@@ -243,8 +229,8 @@ export class Player {
         if (!this.lastCamDir || !this.lastCamPos) return;
 
         const ray = new rapier.Ray(this.lastCamPos, this.lastCamDir);
-        // Cast ray to hit all surfaces (buildings, walls, ground, titan)
-        const hit = world.castRay(ray, this.maxHookDistance, true);
+        // Cast ray to hit all surfaces (buildings, walls, ground, titan) except the player
+        const hit = world.castRay(ray, this.maxHookDistance, true, undefined, undefined, undefined, this.body);
 
         if (!hit) {
             // No hit - cannot shoot hook into air
@@ -255,9 +241,16 @@ export class Player {
         const hitPoint = ray.pointAt(hit.timeOfImpact);
         const hook = this.hooks[side];
         hook.state = 'SHOOTING';
+
+        // Remember the hit in the frame of the body it landed on, so the hook rides along with it
+        hook.anchorBody = hit.collider.parent() ?? this.ropeAnchor;
+        const bodyPos = hook.anchorBody.translation();
+        const bodyRot = hook.anchorBody.rotation();
+        hook.anchorLocal.set(hitPoint.x - bodyPos.x, hitPoint.y - bodyPos.y, hitPoint.z - bodyPos.z)
+            .applyQuaternion(new THREE.Quaternion(bodyRot.x, bodyRot.y, bodyRot.z, bodyRot.w).invert());
         hook.target.copy(hitPoint);
 
-        const playerPos = this.mesh.position;
+        const playerPos = this.position;
         const offset = side === 'left' ? -0.5 : 0.5;
         const waistPos = new THREE.Vector3(offset, 0, 0).applyQuaternion(this.mesh.quaternion).add(playerPos);
         hook.currentPos.copy(waistPos);
@@ -277,57 +270,116 @@ export class Player {
             hook.state = 'IDLE';
             if (hook.line) { this.scene.remove(hook.line); hook.line = null; }
             if (hook.arrow) { this.scene.remove(hook.arrow); hook.arrow = null; }
-            if (hook.joint) { world.removeImpulseJoint(hook.joint, true); hook.joint = null; }
+            // Joints go away by themselves when their anchor body is removed
+            if (hook.joint && world.impulseJoints.contains(hook.joint.handle)) world.removeImpulseJoint(hook.joint, true);
+            hook.joint = null;
+            hook.anchorBody = null;
+            hook.length = 0;
         }
     }
 
-    update(camera) {
+    // World position of a hook's anchor on its (possibly moving) body
+    updateHookTarget(hook) {
+        const pos = hook.anchorBody.translation();
+        const rot = hook.anchorBody.rotation();
+        hook.target.copy(hook.anchorLocal)
+            .applyQuaternion(new THREE.Quaternion(rot.x, rot.y, rot.z, rot.w))
+            .add(new THREE.Vector3(pos.x, pos.y, pos.z));
+    }
+
+    // True if any attached hook is anchored to one of the given rigid-body handles
+    isHookedTo(handles) {
+        return ['left', 'right'].some(side => {
+            const hook = this.hooks[side];
+            return hook.state === 'ATTACHED' && handles.includes(hook.anchorBody.handle);
+        });
+    }
+
+    releaseHooksOn(handles) {
+        ['left', 'right'].forEach(side => {
+            const hook = this.hooks[side];
+            if (hook.state !== 'IDLE' && handles.includes(hook.anchorBody.handle)) this.clearHook(side);
+        });
+    }
+
+    // A titan picked the player up - held in its hand until released
+    grab(titan) {
+        this.grabbedBy = titan;
+        this.clearHook('left');
+        this.clearHook('right');
+        console.log("✊ Grabbed by a titan!");
+    }
+
+    release(velocity = { x: 0, y: 0, z: 0 }) {
+        this.grabbedBy = null;
+        this.body.setLinvel(velocity, true);
+    }
+
+    // Rapier rope joints have no length setter, so a new length means a new joint
+    setRopeLength(hook, length) {
+        length = THREE.MathUtils.clamp(length, this.minRopeLength, this.maxHookDistance);
+        if (hook.joint && Math.abs(length - hook.length) < 1e-3) return;
+
+        if (hook.joint) world.removeImpulseJoint(hook.joint, true);
+        const params = rapier.JointData.rope(length, hook.anchorLocal, { x: 0, y: 0, z: 0 });
+        hook.joint = world.createImpulseJoint(params, hook.anchorBody, this.body, true);
+        hook.length = length;
+    }
+
+    update(camera, dt) {
         if (!this.body) return;
 
         this.lastCamPos = camera.position;
         const camDir = new THREE.Vector3();
         camera.getWorldDirection(camDir);
         this.lastCamDir = camDir;
-        const dt = 1 / 60;
 
-        // Animation
-        if (this.mixer) this.mixer.update(dt);
+        // Animation, on the parameters of the last step; the rig's IK is taken off while the mixer poses
+        this.rig?.restore();
+        this.animation.update(dt);
+        this.rig?.capture();
+
+        // Held in a titan's hand - the titan moves the body, only the blades still work
+        if (this.grabbedBy) {
+            this.blades.update(dt, this.titanManager ? this.titanManager.aliveTitans : []);
+            if (this.rig) this.updateRig(dt);
+            return;
+        }
 
         const walkSpeed = 10.0;
         const runSpeed = 25.0;
-        const speed = this.keys.shift ? runSpeed : walkSpeed;
+        const speed = this.input.isDown('sprint') ? runSpeed : walkSpeed;
         const jumpForce = 15.0; // Higher jump
         const linvel = this.body.linvel();
 
-        // Animation State Machine (AFTER linvel is declared)
-        const horizontalSpeed = Math.sqrt(linvel.x * linvel.x + linvel.z * linvel.z);
-        const isMoving = horizontalSpeed > 0.5;
-
-        if (this.animations['Walk'] && this.animations['Run']) {
-            let targetAction = null;
+        // Ground check (before movement - airborne players keep their momentum)
+        const origin = this.body.translation();
+        const feetPos = { x: origin.x, y: origin.y - 1.05, z: origin.z };
+        const ray = new rapier.Ray(feetPos, { x: 0, y: -1, z: 0 });
+        const hit = world.castRay(ray, 0.5, true, 0x00010006);
+        const velY = this.body.linvel().y;
+        const isGrounded = Boolean(hit && hit.timeOfImpact < 0.1 && velY <= 0.1);
 
-            if (isMoving) {
-                targetAction = this.keys.shift ? this.animations['Run'] : this.animations['Walk'];
-            }
+        const isSwinging = this.hooks.left.state === 'ATTACHED' || this.hooks.right.state === 'ATTACHED';
 
-            if (this.currentAction !== targetAction) {
-                if (this.currentAction) {
-                    this.currentAction.fadeOut(0.2);
-                }
-                this.currentAction = targetAction;
-                if (this.currentAction) {
-                    this.currentAction.reset().fadeIn(0.2).play();
-                }
-            }
-        }
+        if (isGrounded && this.airTime > HARD_LANDING) this.animation.play('Land');
+        this.airTime = isGrounded ? 0 : this.airTime + dt;
+        const horizontalSpeed = Math.sqrt(linvel.x * linvel.x + linvel.z * linvel.z);
+        this.wallNormal = isGrounded || horizontalSpeed < WALL_RUN_SPEED ? null : this.findWallBeside(linvel);
+        this.animation.setParams({
+            speed: horizontalSpeed,
+            sprinting: this.input.isDown('sprint'),
+            grounded: isGrounded,
+            hooked: isSwinging,
+            airTime: this.airTime,
+            nearWall: Boolean(this.wallNormal)
+        });
 
-        let moveDir = new THREE.Vector3(0, 0, 0);
-        if (this.keys.w) moveDir.z -= 1;
-        if (this.keys.s) moveDir.z += 1;
-        if (this.keys.a) moveDir.x -= 1;
-        if (this.keys.d) moveDir.x += 1;
+        const move = this.input.getMoveVector();
+        const moveDir = new THREE.Vector3(move.x, 0, move.y);
+        const moveAmount = moveDir.length(); // Partial stick tilt moves slower
 
-        if (moveDir.length() > 0) {
+        if (moveAmount > 0) {
             moveDir.normalize();
 
             const camForward = new THREE.Vector3();
@@ -342,58 +394,56 @@ export class Player {
                 .addScaledVector(camForward, -moveDir.z)
                 .addScaledVector(camRight, moveDir.x);
 
-            const isSwinging = this.hooks.left.state === 'ATTACHED' || this.hooks.right.state === 'ATTACHED';
-            const moveSpeed = isSwinging ? speed * 0.3 : speed;
-
-            this.body.setLinvel({ x: finalDir.x * moveSpeed, y: linvel.y, z: finalDir.z * moveSpeed }, true);
+            if (isGrounded && !isSwinging) {
+                const moveSpeed = speed * moveAmount;
+                this.body.setLinvel({ x: finalDir.x * moveSpeed, y: linvel.y, z: finalDir.z * moveSpeed }, true);
+            } else {
+                // Air control: steer the swing without overriding its momentum
+                const airControl = 20.0 * moveAmount;
+                this.body.applyImpulse({ x: finalDir.x * airControl * dt, y: 0, z: finalDir.z * airControl * dt }, true);
+            }
 
             const angle = Math.atan2(finalDir.x, finalDir.z);
             const targetRotation = new THREE.Quaternion();
             targetRotation.setFromAxisAngle(new THREE.Vector3(0, 1, 0), angle);
             this.mesh.quaternion.slerp(targetRotation, 0.2);
-        } else {
-            const isSwinging = this.hooks.left.state === 'ATTACHED' || this.hooks.right.state === 'ATTACHED';
-            if (!isSwinging) {
-                this.body.setLinvel({ x: 0, y: linvel.y, z: 0 }, true);
-            }
+        } else if (isGrounded && !isSwinging) {
+            this.body.setLinvel({ x: 0, y: linvel.y, z: 0 }, true);
         }
 
         // Jump
-        const origin = this.body.translation();
-        const feetPos = { x: origin.x, y: origin.y - 1.05, z: origin.z };
-        const ray = new rapier.Ray(feetPos, { x: 0, y: -1, z: 0 });
-        const hit = world.castRay(ray, 0.5, true, 0x00010006);
-        const velY = this.body.linvel().y;
-        const isGrounded = hit && hit.timeOfImpact < 0.1 && velY <= 0.1;
-
+        const jumpDown = this.input.isDown('jump');
+        const spacePressed = jumpDown && !this.prevSpace;
         if (this.jumpCooldown > 0) this.jumpCooldown -= dt;
 
-        if (this.keys.space) {
-            if (!this.prevSpace) {
-                if (isGrounded && this.jumpCooldown <= 0) {
-                    const vel = this.body.linvel();
-                    this.body.setLinvel({ x: vel.x, y: jumpForce, z: vel.z }, true);
-                    this.jumpCooldown = 0.5;
-                }
-            }
-            this.prevSpace = true;
-        } else {
-            this.prevSpace = false;
+        if (spacePressed && isGrounded && this.jumpCooldown <= 0) {
+            const vel = this.body.linvel();
+            this.body.setLinvel({ x: vel.x, y: jumpForce, z: vel.z }, true);
+            this.jumpCooldown = 0.5;
         }
+        this.prevSpace = jumpDown;
 
         // Gas Boost
-        if (this.keys.r) {
-            const boostForce = 2.0;
+        const boostForce = 2.0;
+        if (this.input.isDown('boost') && this.useGas(boostForce)) {
             this.body.applyImpulse({ x: camDir.x * boostForce, y: camDir.y * boostForce, z: camDir.z * boostForce }, true);
         }
 
         // Wall Collision Detection (like Naraka Bladepoint)
         // When grappling, if velocity suddenly drops (hit wall), detach hooks
         const currentVel = new THREE.Vector3(linvel.x, linvel.y, linvel.z);
-        const isHooked = this.hooks.left.state === 'ATTACHED' || this.hooks.right.state === 'ATTACHED';
 
-        if (isHooked && this.prevVelocity.length() > 5) { // Only check if moving fast
-            const velChange = this.prevVelocity.length() - currentVel.length();
+        if (isSwinging && this.prevVelocity.length() > 5) { // Only check if moving fast
+            // Velocity lost along a rope is just the rope going taut, not an impact
+            const lost = new THREE.Vector3().subVectors(this.prevVelocity, currentVel);
+            const bodyPos = this.body.translation();
+            ['left', 'right'].forEach(side => {
+                const hook = this.hooks[side];
+                if (hook.state !== 'ATTACHED') return;
+                const ropeDir = new THREE.Vector3().copy(hook.target).sub(bodyPos).normalize();
+                lost.addScaledVector(ropeDir, -lost.dot(ropeDir));
+            });
+            const velChange = lost.length();
 
             // If velocity dropped significantly (hit obstacle)
             if (velChange > 8) {
@@ -404,28 +454,26 @@ export class Player {
         }
         this.prevVelocity.copy(currentVel);
 
-        // Hook Physics
+        // Hook Physics - every attached hook is a rope joint (max length constraint) to its anchor,
+        // so the player swings as a pendulum. With both hooks in, both ropes constrain the player
+        // at once and reeling shortens both.
         const playerPos = this.body.translation();
         const playerVec = new THREE.Vector3(playerPos.x, playerPos.y, playerPos.z);
+        const reel = (this.input.isDown('reelOut') ? 1 : 0) - (this.input.isDown('reelIn') ? 1 : 0); // -1 reel in, +1 let out
+        let vaulted = false;
 
-        // Check if both hooks are attached for dual vector logic
-        const leftHook = this.hooks.left;
-        const rightHook = this.hooks.right;
-        const isDualHook = leftHook.state === 'ATTACHED' && rightHook.state === 'ATTACHED';
+        ['left', 'right'].forEach(side => {
+            const hook = this.hooks[side];
+            if (hook.state === 'IDLE') return;
 
-        // Anti-gravity while swinging (prevent falling when hooked)
-        const isHookedNow = leftHook.state === 'ATTACHED' || rightHook.state === 'ATTACHED' ||
-            leftHook.state === 'SHOOTING' || rightHook.state === 'SHOOTING';
-        if (isHookedNow) {
-            const vel = this.body.linvel();
-            // Reduce gravity effect - keep player floating while hooked
-            if (vel.y < 0) {
-                this.body.setLinvel({ x: vel.x, y: vel.y * 0.8, z: vel.z }, true); // Slow down falling
+            // Anchor body removed (building collapsed, titan corpse gone) - nothing left to hold on to
+            if (!world.bodies.contains(hook.anchorBody.handle)) {
+                this.clearHook(side);
+                console.log('🪝 Hook anchor lost - detached');
+                return;
             }
-        }
+            this.updateHookTarget(hook);
 
-        ['left', 'right'].forEach(side => {
-            const hook = this.hooks[side];
             if (hook.state === 'SHOOTING') {
                 const distToTarget = hook.currentPos.distanceTo(hook.target);
                 const travelDist = hook.shootSpeed * dt;
@@ -433,37 +481,17 @@ export class Player {
                 if (travelDist >= distToTarget) {
                     hook.currentPos.copy(hook.target);
                     hook.state = 'ATTACHED';
+                    this.setRopeLength(hook, playerVec.distanceTo(hook.target));
+
+                    // Gas-powered tug when the anchor bites
                     const dir = new THREE.Vector3().subVectors(hook.target, playerVec).normalize();
-                    const initialImpulse = 20.0;
+                    const initialImpulse = this.useGas(20.0) ? 20.0 : 20.0 * this.emptyReelFactor;
                     this.body.applyImpulse({ x: dir.x * initialImpulse, y: dir.y * initialImpulse, z: dir.z * initialImpulse }, true);
                 } else {
                     const dir = new THREE.Vector3().subVectors(hook.target, hook.currentPos).normalize();
                     hook.currentPos.addScaledVector(dir, travelDist);
                 }
-
-                // Update Visuals
-                const offset = side === 'left' ? -0.5 : 0.5;
-                const waistPos = new THREE.Vector3(offset, 0, 0).applyQuaternion(this.mesh.quaternion).add(playerVec);
-                const positions = hook.line.geometry.attributes.position.array;
-                positions[0] = waistPos.x; positions[1] = waistPos.y; positions[2] = waistPos.z;
-                positions[3] = hook.currentPos.x; positions[4] = hook.currentPos.y; positions[5] = hook.currentPos.z;
-                hook.line.geometry.attributes.position.needsUpdate = true;
-
-                if (hook.arrow) {
-                    hook.arrow.position.copy(hook.currentPos);
-                    hook.arrow.lookAt(hook.target);
-                }
             } else if (hook.state === 'ATTACHED') {
-                // Visual Update
-                const offset = side === 'left' ? -0.5 : 0.5;
-                const waistPos = new THREE.Vector3(offset, 0, 0).applyQuaternion(this.mesh.quaternion).add(playerVec);
-                const positions = hook.line.geometry.attributes.position.array;
-                positions[0] = waistPos.x; positions[1] = waistPos.y; positions[2] = waistPos.z;
-                positions[3] = hook.target.x; positions[4] = hook.target.y; positions[5] = hook.target.z;
-                hook.line.geometry.attributes.position.needsUpdate = true;
-
-                if (hook.arrow) hook.arrow.position.copy(hook.target);
-
                 // Physics Logic
                 const dist = playerVec.distanceTo(hook.target);
 
@@ -493,47 +521,34 @@ export class Player {
                                 z: forwardDir.z * vaultForceFwd
                             }, true);
 
-                            console.log("🧗 Wall Vault (Contact Confirmed)!");
+                            vaulted = true;
                             return;
                         }
                     }
 
+                    // Released at the anchor - the player keeps whatever momentum the reel gave them
                     this.clearHook(side);
-                    const vel = this.body.linvel();
-                    if (vel.y > 0) this.body.setLinvel({ x: vel.x, y: 0, z: vel.z }, true);
                     return;
                 }
 
-                // Apply Force
-                let dir;
-                if (isDualHook) {
-                    // Calculate center vector
-                    const dirLeft = new THREE.Vector3().subVectors(leftHook.target, playerVec).normalize();
-                    const dirRight = new THREE.Vector3().subVectors(rightHook.target, playerVec).normalize();
-                    dir = new THREE.Vector3().addVectors(dirLeft, dirRight).normalize();
-                } else {
-                    dir = new THREE.Vector3().subVectors(hook.target, playerVec).normalize();
-                }
-
-                // Add upward boost when target is above player (helps climb onto roofs)
-                const heightDiff = hook.target.y - playerVec.y;
-                let upwardBoost = 0;
-                if (heightDiff > 2) {
-                    // Target is above - add extra upward force to arc over walls
-                    upwardBoost = Math.min(heightDiff * 0.5, 10); // Cap at 10
+                if (reel < 0) {
+                    // Reel in: the winch burns gas, an empty tank only winds slowly
+                    const rate = this.useGas(120.0 * dt) ? this.reelSpeed : this.reelSpeed * this.emptyReelFactor;
+                    this.setRopeLength(hook, Math.min(hook.length, dist) - rate * dt); // Take up slack first
+                } else if (reel > 0) {
+                    this.setRopeLength(hook, hook.length + this.reelSpeed * dt);
                 }
-
-                const reelForce = 120.0;
-                this.body.applyImpulse({
-                    x: dir.x * reelForce * dt,
-                    y: dir.y * reelForce * dt + upwardBoost * dt,
-                    z: dir.z * reelForce * dt
-                }, true);
             }
         });
 
+        // The vault plays from this step on, so the rig below already starts the flip
+        if (vaulted) {
+            this.animation.play('Vault');
+            console.log("🧗 Wall Vault (Contact Confirmed)!");
+        }
+
         // Jump Cancel Hooks
-        if (this.keys.space && !this.prevSpace) {
+        if (spacePressed) {
             if (this.hooks.left.state !== 'IDLE' || this.hooks.right.state !== 'IDLE') {
                 this.clearHook('left');
                 this.clearHook('right');
@@ -543,15 +558,180 @@ export class Player {
             }
         }
 
+        // Refill gas and blades while standing at a rooftop station
+        this.updateResupply(dt);
+
+        // Blade swing sweep, reload
+        this.blades.update(dt, this.titanManager ? this.titanManager.aliveTitans : []);
+
         // Mana Regeneration
         if (this.currentMana < this.maxMana) {
             this.currentMana = Math.min(this.maxMana, this.currentMana + this.manaRegenRate * dt);
             this.updateManaUI();
         }
 
-        // Sync mesh
+        if (this.rig) this.updateRig(dt);
+    }
+
+    // Surface normal of a wall right beside the player (across the direction of travel), or null
+    findWallBeside(linvel) {
+        const side = new THREE.Vector3(-linvel.z, 0, linvel.x).normalize();
+        const groups = collisionGroups(GROUP.PLAYER, GROUP.BUILDING | GROUP.WALL);
+        for (const sign of [1, -1]) {
+            const ray = new rapier.Ray(this.body.translation(), { x: side.x * sign, y: 0, z: side.z * sign });
+            const hit = world.castRayAndGetNormal(ray, WALL_RUN_REACH, true, undefined, groups, undefined, this.body);
+            if (hit) return new THREE.Vector3(hit.normal.x, hit.normal.y, hit.normal.z);
+        }
+        return null;
+    }
+
+    // Feeds the rig this step's ropes and movement
+    updateRig(dt) {
         const position = this.body.translation();
-        this.mesh.position.set(position.x, position.y, position.z);
+        const pull = new THREE.Vector3();
+        const hands = {};
+        ['left', 'right'].forEach(side => {
+            const hook = this.hooks[side];
+            if (hook.state === 'IDLE') return;
+            hands[side] = hook.state === 'SHOOTING' ? hook.currentPos : hook.target;
+            if (hook.state === 'ATTACHED') pull.add(new THREE.Vector3().copy(hook.target).sub(position).normalize());
+        });
+        const oneShot = this.animation.oneShot;
+        this.rig.update(dt, {
+            state: this.animation.state,
+            oneShot,
+            progress: oneShot ? this.animation.oneShotTime / this.animation.duration(oneShot) : 0,
+            facing: this.mesh.quaternion,
+            velocity: new THREE.Vector3().copy(this.body.linvel()),
+            pull: pull.lengthSq() > 0 ? pull.normalize() : null,
+            wallNormal: this.wallNormal,
+            hands
+        });
+    }
+
+    // Surface height below a point, for the rig's foot placement
+    groundHeight(x, z, fromY) {
+        const ray = new rapier.Ray({ x, y: fromY, z }, { x: 0, y: -1, z: 0 });
+        const groups = collisionGroups(GROUP.PLAYER, GROUP.GROUND | GROUP.STAIRS | GROUP.BUILDING);
+        const hit = world.castRay(ray, 3, true, undefined, groups, undefined, this.body);
+        return hit ? fromY - hit.timeOfImpact : null;
+    }
+
+    // Called after every physics step
+    capturePhysicsState() {
+        this.interpolation.capture();
+    }
+
+    // Where the body is now. Simulation code reads this: the mesh is placed between steps for drawing
+    get position() {
+        return new THREE.Vector3().copy(this.body.translation());
+    }
+
+    // Called once per rendered frame with the interpolation factor between physics steps
+    render(alpha) {
+        this.interpolation.apply(this.mesh, alpha);
+        if (this.rig) {
+            this.mesh.updateMatrixWorld(true);
+            this.rig.apply((x, z, fromY) => this.groundHeight(x, z, fromY));
+        }
+        this.updateHookVisuals();
+    }
+
+    updateHookVisuals() {
+        ['left', 'right'].forEach(side => {
+            const hook = this.hooks[side];
+            if (hook.state === 'IDLE' || !hook.line) return;
+
+            const end = hook.state === 'SHOOTING' ? hook.currentPos : hook.target;
+            const offset = side === 'left' ? -0.5 : 0.5;
+            const waistPos = new THREE.Vector3(offset, 0, 0).applyQuaternion(this.mesh.quaternion).add(this.mesh.position);
+            const positions = hook.line.geometry.attributes.position.array;
+            positions[0] = waistPos.x; positions[1] = waistPos.y; positions[2] = waistPos.z;
+            positions[3] = end.x; positions[4] = end.y; positions[5] = end.z;
+            hook.line.geometry.attributes.position.needsUpdate = true;
+
+            if (hook.arrow) {
+                hook.arrow.position.copy(end);
+                if (hook.state === 'SHOOTING') hook.arrow.lookAt(hook.target);
+            }
+        });
+    }
+
+    updateResupply(dt) {
+        const station = this.city ? this.city.findResupplyStation(this.position) : null;
+        this.isResupplying = !!station && (this.currentGas < this.maxGas || !this.blades.isFull);
+
+        if (!this.isResupplying) {
+            this.resupplyTimer = 0;
+            this.updateGasUI();
+            return;
+        }
+
+        this.currentGas = Math.min(this.maxGas, this.currentGas + this.gasRefillRate * dt);
+
+        // One spare pair of blades every half second
+        this.resupplyTimer += dt;
+        if (this.resupplyTimer >= 0.5) {
+            this.resupplyTimer = 0;
+            this.blades.restock(1);
+        }
+        this.updateGasUI();
+    }
+
+    createGasUI() {
+        // Gas gauge container (right of the mana bar)
+        this.gasBarContainer = document.createElement('div');
+        this.gasBarContainer.style.cssText = `
+            position: fixed;
+            bottom: 40px;
+            left: calc(50% + 170px);
+            width: 150px;
+            height: 15px;
+            background: #222;
+            border: 2px solid #cccccc;
+            border-radius: 5px;
+            overflow: hidden;
+        `;
+
+        // Gas bar fill
+        this.gasBar = document.createElement('div');
+        this.gasBar.style.cssText = `
+            width: 100%;
+            height: 100%;
+            background: linear-gradient(to right, #999999, #eeeeee);
+            transition: width 0.1s;
+        `;
+        this.gasBarContainer.appendChild(this.gasBar);
+
+        // Label
+        this.gasLabel = document.createElement('div');
+        this.gasLabel.style.cssText = `
+            position: fixed;
+            bottom: 59px;
+            left: calc(50% + 170px);
+            width: 154px;
+            text-align: center;
+            color: #cccccc;
+            font-weight: bold;
+            font-size: 12px;
+        `;
+
+        document.body.appendChild(this.gasBarContainer);
+        document.body.appendChild(this.gasLabel);
+        this.updateGasUI();
+    }
+
+    updateGasUI() {
+        if (this.gasBar) {
+            const percentage = Math.max(0, (this.currentGas / this.maxGas) * 100);
+            this.gasBar.style.width = `${percentage}%`;
+            this.gasBar.style.background = this.currentGas > 0
+                ? 'linear-gradient(to right, #999999, #eeeeee)'
+                : '#551111';
+        }
+        if (this.gasLabel) {
+            this.gasLabel.textContent = this.isResupplying ? 'GAS - RESUPPLYING' : this.currentGas > 0 ? 'GAS' : 'GAS EMPTY';
+        }
     }
 
     createManaUI() {
@@ -0,0 +1,36 @@
+// Seeded random numbers for everything that affects the simulation, so a session can be
+// reproduced from its seed (replays). Purely cosmetic effects can keep using Math.random.
+let seed = 0;
+let next = createRandom(0);
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+export function setSeed(value) {
+    seed = value >>> 0;
+    next = createRandom(seed);
+}
+
+export function getSeed() {
+    return seed;
+}
+
+export function random() {
+    return next();
+}
+
+// Independent generator with its own state, for things that must only depend on their own
+// seed (city layouts). Mulberry32: fast, 32 bit state, good enough for gameplay.
+export function createRandom(initialSeed) {
+    let state = initialSeed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
+
+setSeed(randomSeed());
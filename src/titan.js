@@ -1,15 +1,48 @@
 import * as THREE from 'three';
-import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
-import { rapier, world } from './physics.js';
+import { rapier, world, GROUP, collisionGroups } from './physics.js';
+import { InterpolatedBody } from './GameLoop.js';
+import { getTitanType, BASE_TITAN_HEIGHT, BASE_MODEL_SCALE } from './titanTypes.js';
+import { TitanAI } from './TitanAI.js';
+import { TitanLimbs } from './TitanLimbs.js';
+import { random } from './random.js';
+import { assets } from './Assets.js';
+import { AnimationController } from './AnimationController.js';
 
 export class Titan {
-    constructor(scene, position = { x: 0, y: 0, z: 0 }) {
+    constructor(scene, position = { x: 0, y: 0, z: 0 }, type = 'large') {
         this.scene = scene;
         this.isAlive = true;
         this.player = null; // Reference to player for chasing
+        this.rallyPoint = null; // Where to march when the player is out of sight
+
+        // Archetype - all size dependent values scale with the class height
+        this.type = getTitanType(type);
+        const size = this.type.height / BASE_TITAN_HEIGHT;
+        this.sizeFactor = size;
+        this.chaseSpeed = this.type.speed;
+
+        // Navigation (set by the TitanManager)
+        this.navGrid = null;
+        this.city = null;
+        this.bodyRadius = 2 * size;
+        this.path = null;
+        this.pathIndex = 0;
+        this.pathGoal = null;
+        this.pathVersion = -1;
+        this.repathTimer = 0;
+
+        // Reactions to hooked players
+        this.grab = null;       // { limb, timer, damageTimer } while holding the player
+        this.shakeTimer = 0;
+
+        // Abnormal behaviour
+        this.fixation = null; // Point an abnormal is obsessed with (null = the player)
+        this.fixationTimer = 0;
+        this.sprintTimer = 0;
+        this.leapCooldown = 0;
 
         // Health system
-        this.maxHealth = 100;
+        this.maxHealth = this.type.health;
         this.currentHealth = this.maxHealth;
         this.createHealthUI();
 
@@ -20,12 +53,14 @@ export class Titan {
 
         // Attack Logic
         this.isAttacking = false;
+        this.currentAttack = null;
+        this.hitWindow = false; // Swipe connects while open, set by the attack's animation events
         this.attackCooldown = 0;
         this.dotDamageTimer = 0;
         this.projectiles = []; // Red sphere projectiles
 
         // Danger Zone (red warning circle at Titan's feet)
-        const dangerRadius = 16; // Doubled from 8
+        const dangerRadius = this.type.dangerRadius;
         const dangerGeo = new THREE.RingGeometry(0.5, dangerRadius, 32);
         const dangerMat = new THREE.MeshBasicMaterial({
             color: 0xff0000,
@@ -60,52 +95,23 @@ export class Titan {
 
         this.attackRadius = 10; // Total attack range
 
-        // Load Model
-        const loader = new FBXLoader();
-        const baseUrl = import.meta.env.BASE_URL.endsWith('/') ? import.meta.env.BASE_URL : import.meta.env.BASE_URL + '/';
-
-        // Add placeholder first
-        const placeholderGeo = new THREE.CapsuleGeometry(1, 4, 4, 8);
-        const placeholderMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
-        this.bodyMesh = new THREE.Mesh(placeholderGeo, placeholderMat);
-        this.mesh.add(this.bodyMesh);
-
-        loader.load(`${baseUrl}titan.fbx`, (fbx) => {
-            console.log("✅ Titan Model Loaded");
+        // Model and clips come preloaded (Assets.js); a capsule stands in if titan.fbx isn't there
+        const fbx = assets.instance('titan.fbx');
+        const limbBones = {}; // Bones the limb hitboxes follow, handed over once the limbs exist
+        if (!fbx) {
+            const placeholderGeo = new THREE.CapsuleGeometry(1, 4, 4, 8);
+            const placeholderMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
+            this.bodyMesh = new THREE.Mesh(placeholderGeo, placeholderMat);
+            this.bodyMesh.scale.setScalar(size);
+            this.mesh.add(this.bodyMesh);
+        } else {
             this.model = fbx;
-            this.model.scale.set(0.1, 0.1, 0.1); // Adjust scale as needed
-            this.model.position.y = -7; // Offset to align feet with ground
-
-            // Remove placeholder
-            this.mesh.remove(this.bodyMesh);
+            const modelScale = BASE_MODEL_SCALE * size;
+            this.model.scale.set(modelScale, modelScale, modelScale);
+            this.model.position.y = -7 * size; // Offset to align feet with ground
             this.mesh.add(this.model);
 
-            // Setup Animations
             this.mixer = new THREE.AnimationMixer(this.model);
-            this.animations = {};
-
-            const loadAnim = (name, file) => {
-                loader.load(`${baseUrl}${file}`, (anim) => {
-                    const clip = anim.animations[0];
-                    const action = this.mixer.clipAction(clip);
-                    this.animations[name] = action;
-                    if (name === 'Walk') {
-                        action.play();
-                        this.currentAction = action;
-                    }
-                });
-            };
-
-            // Check if main file has animations
-            if (fbx.animations.length > 0) {
-                this.animations['Walk'] = this.mixer.clipAction(fbx.animations[0]);
-                this.animations['Walk'].play();
-                this.currentAction = this.animations['Walk'];
-            } else {
-                loadAnim('Walk', 'titan.fbx');
-            }
-
-            loadAnim('Attack', 'titan_attack.fbx');
 
             // Find Neck Bone and Hand Bones
             this.neckBone = null;
@@ -113,6 +119,15 @@ export class Titan {
             this.leftHandBone = null;
             fbx.traverse((child) => {
                 if (child.isBone) {
+                    // Limb hitbox bones (exact suffix so fingers/toes don't match)
+                    if (/(Head|head)$/.test(child.name)) limbBones.head = child;
+                    if (/(LeftHand|Hand_L|hand\.L)$/.test(child.name)) limbBones.leftHand = child;
+                    if (/(RightHand|Hand_R|hand\.R)$/.test(child.name)) limbBones.rightHand = child;
+                    if (/(LeftForeArm|ForeArm_L|forearm\.L)$/.test(child.name)) limbBones.leftForeArm = child;
+                    if (/(RightForeArm|ForeArm_R|forearm\.R)$/.test(child.name)) limbBones.rightForeArm = child;
+                    if (/(LeftFoot|Foot_L|foot\.L)$/.test(child.name)) limbBones.leftFoot = child;
+                    if (/(RightFoot|Foot_R|foot\.R)$/.test(child.name)) limbBones.rightFoot = child;
+
                     if (child.name.includes('Neck') || child.name.includes('Head')) {
                         this.neckBone = child;
                     }
@@ -140,242 +155,304 @@ export class Titan {
                 this.leftHandBone.add(this.attackSphereLeft);
                 this.attackSphereLeft.position.set(0, 0, 0);
             }
+        }
+        this.createAnimation(fbx?.animations[0], assets.clip('titan_attack.fbx'));
 
-        }, undefined, (err) => {
-            console.error("❌ Error loading Titan:", err);
-        });
-
-        // Physics Body (Dynamic) - passes through buildings
+        // Physics Body (Dynamic) - smashers pass through buildings, pathing titans bump into them
         const rigidBodyDesc = rapier.RigidBodyDesc.dynamic()
-            .setTranslation(position.x, position.y + 7, position.z)
+            .setTranslation(position.x, position.y + 7 * size, position.z)
             .lockRotations();
         this.body = world.createRigidBody(rigidBodyDesc);
-
-        // Only collide with ground (group 2), not buildings
-        const colliderDesc = rapier.ColliderDesc.capsule(5, 2)
-            .setCollisionGroups(0x00020002); // Only collide with ground
+        this.interpolation = new InterpolatedBody(this.body);
+
+        // Walls block titans only because navigation knows them: their bays are nav obstacles and
+        // navigateTo() heads for a gate first, where closed doors get battered down
+        let filter = GROUP.GROUND | GROUP.WALL | GROUP.TITAN;
+        if (this.type.navigation !== 'smash') filter |= GROUP.BUILDING;
+        const colliderDesc = rapier.ColliderDesc.capsule(5 * size, 2 * size)
+            .setCollisionGroups(collisionGroups(GROUP.TITAN, filter));
         world.createCollider(colliderDesc, this.body);
 
         // Nape (Weak Point)
-        const napeGeo = new THREE.BoxGeometry(0.6, 0.6, 0.6);
+        const napeSize = this.type.napeSize;
+        const napeGeo = new THREE.BoxGeometry(napeSize, napeSize, napeSize);
         const napeMat = new THREE.MeshStandardMaterial({ color: 0xff0000 });
         this.napeMesh = new THREE.Mesh(napeGeo, napeMat);
-        this.napeMesh.position.set(0, 9, -2); // Position at back of neck
+        this.napeMesh.position.set(0, 9 * size, -2 * size); // Position at back of neck
         this.mesh.add(this.napeMesh); // Add to titan mesh, not scene
 
         const napeBodyDesc = rapier.RigidBodyDesc.kinematicPositionBased()
-            .setTranslation(position.x, position.y + 9, position.z - 2);
+            .setTranslation(position.x, position.y + 9 * size, position.z - 2 * size);
         this.napeBody = world.createRigidBody(napeBodyDesc);
 
-        const napeColliderDesc = rapier.ColliderDesc.cuboid(0.3, 0.3, 0.3)
+        const napeColliderDesc = rapier.ColliderDesc.cuboid(napeSize / 2, napeSize / 2, napeSize / 2)
             .setSensor(true) // Sensor to detect hits without physical collision response? 
             // Actually, we want it to be hit by raycast. Sensors are fine for raycast?
             // Raycast hits everything unless filtered.
             // Let's keep it as a regular collider for now, or sensor if we handle collision events.
             // Raycast works on sensors.
-            .setCollisionGroups(0x0002FFFF);
+            .setCollisionGroups(collisionGroups(GROUP.TITAN));
         world.createCollider(napeColliderDesc, this.napeBody);
+
+        // Arms, ankles and eyes can be cut separately and grow back
+        this.limbs = new TitanLimbs(this);
+        this.limbs.attachBones(limbBones);
+
+        // Behaviour layer
+        this.ai = new TitanAI(this);
     }
 
     setPlayerTarget(player) {
         this.player = player;
     }
 
-    update(camera) {
-        if (!this.isAlive) {
-            if (this.healthBarContainer) this.healthBarContainer.style.display = 'none';
-            return;
-        }
-
-        const dt = 1 / 60;
-
-        // Update Animation
-        if (this.mixer) this.mixer.update(dt);
+    // Walks whenever it moves; swipes and stomps share the attack clip (2 s without one) but strike at
+    // different points of it
+    createAnimation(walkClip, attackClip) {
+        this.animation = new AnimationController(this.mixer, {
+            initial: 'Idle',
+            states: {
+                Idle: {},
+                Walk: { clip: walkClip },
+                Swipe: { clip: attackClip, loop: false, duration: 2.0 },
+                Stomp: { clip: attackClip, loop: false, duration: 2.0 }
+            },
+            transitions: [
+                { from: 'Idle', to: 'Walk', when: p => p.speed > 0.5 },
+                { from: 'Walk', to: 'Idle', when: p => p.speed <= 0.5 }
+            ],
+            events: [
+                { state: 'Swipe', at: 0.4, name: 'hitStart' },
+                { state: 'Swipe', at: 0.4, name: 'impact' },
+                { state: 'Swipe', at: 0.6, name: 'hitEnd' },
+                { state: 'Stomp', at: 0.5, name: 'impact' }
+            ]
+        });
+        this.animation.on('hitStart', () => (this.hitWindow = true));
+        this.animation.on('hitEnd', () => (this.hitWindow = false));
+        this.animation.on('impact', state => this.hitBuildings(state === 'Stomp'));
+    }
 
-        // Cooldown
-        if (this.attackCooldown > 0) this.attackCooldown -= dt;
+    setNavigation(navGrid, city) {
+        this.navGrid = navGrid;
+        this.city = city;
+    }
 
-        // Update projectiles
-        this.updateProjectiles(dt);
+    setRallyPoint(point) {
+        this.rallyPoint = point ? new THREE.Vector3(point.x, 0, point.z) : null;
+        this.ai.patrolRoute = null; // Rebuilt around the new rally point
+    }
 
-        // Movement & Attack Logic
-        if (this.player && this.player.mesh && this.body) {
-            const titanPos = this.body.translation();
-            const playerPos = this.player.mesh.position;
+    stun(duration) {
+        if (!this.isAlive) return;
+        if (this.isAttacking) this.endAttack();
+        if (this.grab) this.releaseGrab();
+        this.ai.stun(duration);
+    }
 
-            const dx = playerPos.x - titanPos.x;
-            const dz = playerPos.z - titanPos.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
+    // Point eyes/neck are at, used for line-of-sight checks
+    getEyePosition() {
+        const eye = new THREE.Vector3();
+        if (this.neckBone) {
+            this.neckBone.getWorldPosition(eye);
+        } else {
+            const pos = this.body.translation();
+            eye.set(pos.x, pos.y + 5.5 * this.sizeFactor, pos.z);
+        }
+        return eye;
+    }
 
-            // Rotate to face player (only when in search range)
-            if (dist < 100) {
-                const angle = Math.atan2(dx, dz);
-                const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), angle);
-                this.mesh.quaternion.slerp(q, 0.1);
-            }
+    getForward() {
+        return new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion);
+    }
 
-            // Attack range check
-            const attackRange = 30; // Must be within 30m to attack
-
-            if (this.isAttacking) {
-                // CANCEL attack if player escaped range!
-                if (dist > attackRange) {
-                    this.isAttacking = false;
-                    this.dangerZone.material.opacity = 0;
-                    this.attackSphereRight.material.opacity = 0;
-                    this.attackSphereLeft.material.opacity = 0;
-                    console.log("🏃 Player escaped! Attack cancelled.");
-                }
+    hasAttack(kind) {
+        return this.type.attacks.includes(kind);
+    }
 
-                // Must complete attack animation before doing anything else
-                // Stop moving while attacking
-                const currentVel = this.body.linvel();
-                this.body.setLinvel({ x: 0, y: currentVel.y, z: 0 }, true);
-
-                // Show danger zone warning at feet
-                this.dangerZone.position.set(titanPos.x, 0.1, titanPos.z);
-                this.dangerZone.material.opacity = 0.5 + Math.sin(Date.now() * 0.01) * 0.3;
-
-                // Show attack spheres at both hands (follow bones automatically)
-                const pulseOpacity = 0.3 + Math.sin(Date.now() * 0.015) * 0.2;
-                this.attackSphereRight.material.opacity = pulseOpacity;
-                this.attackSphereLeft.material.opacity = pulseOpacity;
-
-                // DOT damage to grounded players in danger zone
-                const playerY = this.player.mesh.position.y;
-                const titanY = this.mesh.position.y;
-                const playerOnGround = playerY < titanY + 2;
-
-                if (dist < this.dangerRadius && playerOnGround) {
-                    this.dotDamageTimer += dt;
-                    if (this.dotDamageTimer >= 0.3) { // Damage every 0.3 seconds
-                        this.player.takeDamage(5);
-                        this.dotDamageTimer = 0;
-                        console.log("🔥 Ground damage!");
-                    }
-                }
+    // Swipes need an arm on the player's side, or either arm when the player stands right in front
+    canSwipe(position) {
+        return this.hasAttack('swipe') && this.getSwipeArm(position) !== null;
+    }
 
-                // Check for hit (Simple distance check during attack)
-                if (this.animations['Attack']) {
-                    const time = this.animations['Attack'].time;
-                    const duration = this.animations['Attack'].getClip().duration;
-                    // Assume hit is around 40-60% of animation
-                    if (time > duration * 0.4 && time < duration * 0.6) {
-                        const armRadius = 30.0; // Titan arm reach (matches sphere)
-
-                        // Hit player
-                        if (dist < armRadius) {
-                            if (!this.hasHitPlayer) {
-                                this.player.takeDamage(20);
-                                this.hasHitPlayer = true;
-                                console.log("👊 Titan SMASH Player!");
-                            }
-                        }
-
-                        // Hit allies too!
-                        if (this.allyTargets) {
-                            const titanPos = this.body.translation();
-                            for (const ally of this.allyTargets) {
-                                const adx = ally.position.x - titanPos.x;
-                                const adz = ally.position.z - titanPos.z;
-                                const allyDist = Math.sqrt(adx * adx + adz * adz);
-                                if (allyDist < 15) { // Allies in range
-                                    ally.userData.hp -= 1;
-                                    console.log("👊 Titan hits Ally! HP:", ally.userData.hp);
-                                }
-                            }
-                        }
-                    }
-                }
+    // Arm that swipes at a position: the one on its side (the left arm is on the model's +x side),
+    // reaching across the body only for what stands in front. Null when that arm has been cut.
+    getSwipeArm(position) {
+        const pos = this.body.translation();
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.mesh.quaternion);
+        const lateral = (position.x - pos.x) * right.x + (position.z - pos.z) * right.z;
+        const { leftArm, rightArm } = this.limbs.limbs;
+        const [near, far] = lateral >= 0 ? [leftArm, rightArm] : [rightArm, leftArm];
+        if (!near.severed) return near;
+        return Math.abs(lateral) < this.bodyRadius && !far.severed ? far : null;
+    }
 
-            } else {
-                // Not attacking - hide danger zone and attack spheres
-                this.dangerZone.material.opacity = 0;
-                this.attackSphereRight.material.opacity = 0;
-                this.attackSphereLeft.material.opacity = 0;
-                this.dotDamageTimer = 0;
+    // Rapier body handles belonging to this titan (ignored by its own line-of-sight rays)
+    getBodyHandles() {
+        return [this.body.handle, this.napeBody.handle, ...this.limbs.getBodyHandles()];
+    }
 
-                const armRadius = 10.0;   // Arm attack range
-                const footRadius = 5.0;   // Stomp range
-                const searchRadius = 100; // Vision/search range
+    damageLimb(name, damage) {
+        if (!this.isAlive) return;
+        this.limbs.damage(name, damage);
+    }
 
-                // Check if player is on ground (low Y position relative to titan)
-                const playerY = this.player.mesh.position.y;
-                const titanY = this.mesh.position.y;
-                const playerOnGround = playerY < titanY + 2;
+    // render() only moves the mesh between frames: at the start of every step, before anything
+    // (the player's blades included) reads the nape, bones or limbs, it is stood back on the body
+    syncToBody() {
+        if (!this.isAlive || !this.body) return;
+        this.mesh.position.copy(this.body.translation());
+        this.mesh.updateMatrixWorld(true);
+    }
 
-                // Stomp attack - player under titan's feet
-                if (dist < footRadius && playerOnGround && this.attackCooldown <= 0) {
-                    this.attack();
-                    console.log("🦶 Titan STOMP!");
-                }
-                // Arm attack - player within arm reach
-                else if (dist < armRadius && this.attackCooldown <= 0) {
-                    this.attack();
-                    console.log("👊 Titan attacks!");
-                } else if (dist <= searchRadius) {
-                    // Player detected - CHASE!
-                    const speed = dist > armRadius ? 6.0 : 3.0; // Faster when far
-                    const dir = new THREE.Vector3(dx, 0, dz).normalize();
-                    const currentVel = this.body.linvel();
-                    this.body.setLinvel({ x: dir.x * speed, y: currentVel.y, z: dir.z * speed }, true);
-
-                    // Ensure Walk is playing while chasing
-                    if (this.animations && this.animations['Walk'] && this.currentAction !== this.animations['Walk']) {
-                        if (this.currentAction) this.currentAction.fadeOut(0.2);
-                        this.animations['Walk'].reset().fadeIn(0.2).play();
-                        this.currentAction = this.animations['Walk'];
-                    }
-                } else {
-                    // Player OUT OF RANGE - Titan stops and waits (idle)
-                    const currentVel = this.body.linvel();
-                    this.body.setLinvel({ x: 0, y: currentVel.y, z: 0 }, true);
-
-                    // Stop walking animation
-                    if (this.animations && this.animations['Walk'] && this.currentAction === this.animations['Walk']) {
-                        this.animations['Walk'].fadeOut(0.2);
-                        this.currentAction = null;
-                    }
-                }
-            }
-        }
+    update(dt) {
+        if (!this.isAlive) return;
 
-        // Sync Mesh with Body
         if (this.body) {
-            const pos = this.body.translation();
-            this.mesh.position.set(pos.x, pos.y, pos.z);
+            const vel = this.body.linvel();
+            this.animation.set('speed', Math.hypot(vel.x, vel.z));
         }
 
+        // Update Animation (attack events fire from here)
+        this.animation.update(dt);
+
+        // Cooldown
+        if (this.attackCooldown > 0) this.attackCooldown -= dt;
+        if (this.leapCooldown > 0) this.leapCooldown -= dt;
+        if (this.repathTimer > 0) this.repathTimer -= dt;
+
+        // Update projectiles
+        this.updateProjectiles(dt);
+
+        // Perception & behaviour (idle/patrol/investigate/chase/attack/stunned)
+        if (this.body) this.ai.update(dt);
+
+        // Smashers flatten whatever they walk through
+        if (this.type.navigation === 'smash' && this.city) this.smashBuildings(dt);
+        if (this.city) this.batterGates(dt);
+
         // Bone Tracking for Nape
         if (this.neckBone) {
             const boneWorldPos = new THREE.Vector3();
             this.neckBone.getWorldPosition(boneWorldPos);
 
             const localPos = this.mesh.worldToLocal(boneWorldPos.clone());
-            localPos.z -= 0.5;
-            localPos.y -= 0.5; // Lowered offset
+            localPos.z -= 0.5 * this.sizeFactor;
+            localPos.y -= 0.5 * this.sizeFactor; // Lowered offset
             this.napeMesh.position.copy(localPos);
 
-            const offset = new THREE.Vector3(0, -0.5, -0.5).applyQuaternion(this.mesh.quaternion);
+            const offset = new THREE.Vector3(0, -0.5, -0.5).multiplyScalar(this.sizeFactor).applyQuaternion(this.mesh.quaternion);
             const finalNapePos = boneWorldPos.clone().add(offset);
 
             this.napeBody.setNextKinematicTranslation(finalNapePos);
         } else if (this.body) {
             const pos = this.body.translation();
-            const offset = new THREE.Vector3(0, 9, -2).applyQuaternion(this.mesh.quaternion);
+            const offset = new THREE.Vector3(0, 9, -2).multiplyScalar(this.sizeFactor).applyQuaternion(this.mesh.quaternion);
             const finalPos = new THREE.Vector3(pos.x, pos.y, pos.z).add(offset);
             this.napeBody.setNextKinematicTranslation(finalPos);
         }
 
+        // Limb hitboxes, severed parts and regeneration (after the mixer posed the bones)
+        this.limbs.update(dt);
+
+        // Hold a grabbed player in the hand, wobble while shaking hooks loose
+        this.updateGrab(dt);
+        if (this.shakeTimer > 0) {
+            this.shakeTimer -= dt;
+            this.mesh.rotation.z = this.shakeTimer > 0 ? Math.sin(this.shakeTimer * 40) * 0.15 : 0;
+        }
+    }
+
+    // Intact arm whose hand can reach the position, or null
+    getGrabHand(position) {
+        const reach = 2 + 3 * this.sizeFactor;
+        return ['leftArm', 'rightArm']
+            .map(name => this.limbs.limbs[name])
+            .filter(limb => !limb.severed && limb.position.distanceTo(position) < reach)
+            .sort((a, b) => a.position.distanceTo(position) - b.position.distanceTo(position))[0] ?? null;
+    }
+
+    // Thrash until the player's hooks tear loose and fling them away
+    shakeOff() {
+        if (!this.player) return;
+        this.player.releaseHooksOn(this.getBodyHandles());
+        this.shakeTimer = 0.6;
+
+        const titanPos = this.body.translation();
+        const playerPos = this.player.position;
+        const away = new THREE.Vector3(playerPos.x - titanPos.x, 0, playerPos.z - titanPos.z).normalize();
+        this.player.body.setLinvel({ x: away.x * 15, y: 8, z: away.z * 15 }, true);
+        console.log("🌀 Titan shakes the player off!");
+    }
+
+    grabPlayer(limb) {
+        if (!this.player || this.grab) return;
+        if (this.isAttacking) this.endAttack();
+        this.grab = { limb, timer: 3, damageTimer: 0 };
+        this.player.grab(this);
+    }
+
+    releaseGrab(velocity) {
+        if (!this.grab) return;
+        this.grab = null;
+        this.player.release(velocity);
+    }
+
+    updateGrab(dt) {
+        const grab = this.grab;
+        if (!grab) return;
+
+        // Cutting the arm sets the player free
+        if (grab.limb.severed) {
+            console.log("✂️ Cut free from the titan's grip!");
+            this.releaseGrab();
+            return;
+        }
+
+        this.player.body.setTranslation(grab.limb.position, true);
+        this.player.body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+
+        // Squeeze
+        grab.damageTimer += dt;
+        if (grab.damageTimer >= 0.5) {
+            grab.damageTimer = 0;
+            this.player.takeDamage(5);
+        }
+
+        // Throw the player away once done
+        grab.timer -= dt;
+        if (grab.timer <= 0) {
+            const forward = this.getForward();
+            this.releaseGrab({ x: forward.x * 25, y: 10, z: forward.z * 25 });
+            this.player.takeDamage(15);
+            console.log("🤾 Titan throws the player!");
+        }
+    }
+
+    // Called after every physics step
+    capturePhysicsState() {
+        if (this.isAlive) this.interpolation.capture();
+    }
+
+    // Called once per rendered frame with the interpolation factor between physics steps
+    render(camera, alpha) {
+        if (!this.isAlive) {
+            if (this.healthBarContainer) this.healthBarContainer.style.display = 'none';
+            return;
+        }
+
+        // Sync Mesh with Body
+        this.interpolation.apply(this.mesh, alpha);
+
         // Update Health Bar Position
         if (this.healthBarContainer && this.mesh) {
             let headPos;
             if (this.neckBone) {
                 headPos = new THREE.Vector3();
                 this.neckBone.getWorldPosition(headPos);
-                headPos.y += 2.0;
+                headPos.y += 2.0 * this.sizeFactor;
             } else {
-                headPos = this.mesh.position.clone().add(new THREE.Vector3(0, 12, 0));
+                headPos = this.mesh.position.clone().add(new THREE.Vector3(0, 12 * this.sizeFactor, 0));
             }
 
             headPos.project(camera);
@@ -393,26 +470,254 @@ export class Titan {
         }
     }
 
-    attack() {
+    faceToward(dx, dz, rate = 0.1) {
+        const q = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.atan2(dx, dz));
+        this.mesh.quaternion.slerp(q, rate);
+    }
+
+    stopMoving() {
+        const currentVel = this.body.linvel();
+        this.body.setLinvel({ x: 0, y: currentVel.y, z: 0 }, true);
+    }
+
+    // Move toward a point, either along a grid path around buildings or straight through them
+    navigateTo(point, speed, turnRate = 0.1) {
+        const pos = this.body.translation();
+        // Through a gate first when a wall is in the way, which also keeps path searches inside one district
+        const goal = this.city?.walls.gateway(pos, point) ?? point;
+        const target = this.type.navigation === 'path' && this.navGrid ? this.followPath(pos, goal) : goal;
+        const dx = target.x - pos.x;
+        const dz = target.z - pos.z;
+        this.faceToward(dx, dz, turnRate);
+        this.walkToward(dx, dz, speed);
+    }
+
+    // Next point to walk toward on the way to the goal, repathing when the goal or the city changes
+    followPath(pos, goal) {
+        const flatGoal = new THREE.Vector3(goal.x, 0, goal.z);
+        const goalMoved = !this.pathGoal || this.pathGoal.distanceToSquared(flatGoal) > 64;
+        if (goalMoved || this.repathTimer <= 0 || this.pathVersion !== this.navGrid.version) {
+            this.path = this.navGrid.findPath(pos, flatGoal, this.bodyRadius);
+            this.pathIndex = 0;
+            this.pathGoal = flatGoal;
+            this.pathVersion = this.navGrid.version;
+            this.repathTimer = 2;
+        }
+        if (!this.path || this.path.length === 0) return flatGoal; // No route - head straight for it
+
+        // Advance past waypoints we already reached
+        const reach = this.navGrid.cellSize * 1.5;
+        while (this.pathIndex < this.path.length - 1) {
+            const waypoint = this.path[this.pathIndex];
+            if (Math.hypot(waypoint.x - pos.x, waypoint.z - pos.z) > reach) break;
+            this.pathIndex++;
+        }
+
+        // Final leg goes to the exact goal rather than the cell centre
+        return this.pathIndex === this.path.length - 1 ? flatGoal : this.path[this.pathIndex];
+    }
+
+    smashBuildings(dt) {
+        const vel = this.body.linvel();
+        if (Math.hypot(vel.x, vel.z) < 1) return;
+
+        const pos = this.body.translation();
+        this.city.getBuildingsInRadius(pos, this.bodyRadius).forEach(building => {
+            this.city.damageBuilding(building, this.type.smashDamage * dt);
+        });
+    }
+
+    // Titans pressed against a closed gate pound it until it gives way
+    batterGates(dt) {
+        const gate = this.city.walls.findGate(this.body.translation(), this.bodyRadius + 1);
+        if (gate && !gate.open) this.city.walls.damageGate(gate, this.type.gateDamage * dt);
+    }
+
+    walkToward(dx, dz, speed) {
+        const dir = new THREE.Vector3(dx, 0, dz).normalize();
+        const currentVel = this.body.linvel();
+        this.body.setLinvel({ x: dir.x * speed, y: currentVel.y, z: dir.z * speed }, true);
+    }
+
+    // Abnormals ignore whoever is nearest: they pick a fixation, sprint in bursts and leap at rooftops
+    updateAbnormal(dt, titanPos, playerPos) {
+        this.fixationTimer -= dt;
+        if (this.fixationTimer <= 0) {
+            if (random() < 0.5) {
+                this.fixation = null; // Go after the player, however far away
+            } else {
+                const angle = random() * Math.PI * 2;
+                const radius = random() * 150;
+                this.fixation = new THREE.Vector3(Math.cos(angle) * radius, 0, Math.sin(angle) * radius);
+            }
+            this.fixationTimer = 6 + random() * 6;
+        }
+
+        const goal = this.fixation ?? playerPos;
+        const gx = goal.x - titanPos.x;
+        const gz = goal.z - titanPos.z;
+
+        // Leap at a player standing on a roof
+        const dx = playerPos.x - titanPos.x;
+        const dz = playerPos.z - titanPos.z;
+        const playerDist = Math.sqrt(dx * dx + dz * dz);
+        const onRoof = playerPos.y > this.mesh.position.y + 2;
+        const vel = this.body.linvel();
+        const isGrounded = Math.abs(vel.y) < 0.5;
+        if (this.hasAttack('leap') && onRoof && playerDist < this.type.leapRange && this.leapCooldown <= 0 && isGrounded) {
+            const dir = new THREE.Vector3(dx, 0, dz).normalize();
+            const jumpSpeed = Math.sqrt(2 * 20 * Math.max(playerPos.y, 1)); // Enough to clear the roof under gravity
+            this.body.setLinvel({ x: dir.x * this.type.sprintSpeed, y: jumpSpeed, z: dir.z * this.type.sprintSpeed }, true);
+            this.leapCooldown = 6;
+            console.log("🦘 Abnormal LEAPS at the roof!");
+            return;
+        }
+        if (!isGrounded) return; // Keep momentum mid-air
+
+        // Sprint for 2s out of every 5s
+        this.sprintTimer = (this.sprintTimer + dt) % 5;
+        const speed = this.sprintTimer < 2 ? this.type.sprintSpeed : this.chaseSpeed;
+        if (Math.sqrt(gx * gx + gz * gz) > 5) {
+            this.navigateTo(goal, speed, 0.15);
+        } else {
+            this.fixationTimer = 0; // Reached it, pick something else
+        }
+    }
+
+    attack(kind = 'swipe') {
         if (this.isAttacking) return;
 
         console.log("Titan Attacking!");
         this.isAttacking = true;
+        this.currentAttack = kind;
         this.hasHitPlayer = false;
-
-        if (this.animations['Attack']) {
-            const action = this.animations['Attack'];
-            if (this.currentAction) this.currentAction.fadeOut(0.2);
-            action.reset().fadeIn(0.2).play();
-            this.currentAction = action;
-        }
+        this.hitWindow = false;
+        this.swipeArm = kind === 'swipe' && this.player ? this.getSwipeArm(this.player.position) : null;
+        this.animation.play(kind === 'stomp' ? 'Stomp' : 'Swipe');
 
         // Shoot projectiles toward player
-        if (this.player && this.player.mesh) {
+        if (kind === 'swipe' && this.hasAttack('projectiles') && this.player && this.player.mesh) {
             this.shootProjectile();
         }
     }
 
+    // Advances the current attack, returns false once it is over
+    updateAttack(dt) {
+        const titanPos = this.body.translation();
+        const playerPos = this.player.position;
+        const dx = playerPos.x - titanPos.x;
+        const dz = playerPos.z - titanPos.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+
+        // CANCEL attack if player escaped range!
+        if (dist > this.type.smashRadius) {
+            console.log("🏃 Player escaped! Attack cancelled.");
+            this.endAttack();
+            return false;
+        }
+
+        // Must complete attack animation before doing anything else
+        // Stop moving while attacking
+        const currentVel = this.body.linvel();
+        this.body.setLinvel({ x: 0, y: currentVel.y, z: 0 }, true);
+
+        // Show danger zone warning at feet (stomps only)
+        const isStomp = this.currentAttack === 'stomp';
+        this.dangerZone.position.set(titanPos.x, 0.1, titanPos.z);
+        this.dangerZone.material.opacity = isStomp ? 0.5 + Math.sin(Date.now() * 0.01) * 0.3 : 0;
+
+        // Cutting the swiping arm mid-swipe ends it
+        if (!isStomp && (!this.swipeArm || this.swipeArm.severed)) {
+            this.endAttack();
+            return false;
+        }
+
+        // Show the attack sphere at the swiping hand (follows its bone)
+        const pulseOpacity = isStomp ? 0 : 0.3 + Math.sin(Date.now() * 0.015) * 0.2;
+        this.attackSphereRight.material.opacity = this.swipeArm?.name === 'rightArm' ? pulseOpacity : 0;
+        this.attackSphereLeft.material.opacity = this.swipeArm?.name === 'leftArm' ? pulseOpacity : 0;
+
+        // DOT damage to grounded players in danger zone
+        const playerY = this.player.position.y;
+        const titanY = this.mesh.position.y;
+        const playerOnGround = playerY < titanY + 2;
+
+        if (isStomp && dist < this.dangerRadius && playerOnGround) {
+            this.dotDamageTimer += dt;
+            if (this.dotDamageTimer >= 0.3) { // Damage every 0.3 seconds
+                this.player.takeDamage(5);
+                this.dotDamageTimer = 0;
+                console.log("🔥 Ground damage!");
+            }
+        }
+
+        // Check for hit (Simple distance check while the swipe's hit window is open)
+        if (!isStomp && this.hitWindow) {
+            const armRadius = this.type.smashRadius; // Reach of the swiping hand
+
+            // Hit player
+            if (this.swipeArm.position.distanceTo(playerPos) < armRadius) {
+                if (!this.hasHitPlayer) {
+                    this.player.takeDamage(20);
+                    this.hasHitPlayer = true;
+                    console.log("👊 Titan SMASH Player!");
+                }
+            }
+
+            // Hit allies too!
+            if (this.allyTargets) {
+                for (const ally of this.allyTargets) {
+                    const adx = ally.position.x - titanPos.x;
+                    const adz = ally.position.z - titanPos.z;
+                    const allyDist = Math.sqrt(adx * adx + adz * adz);
+                    if (allyDist < 15) { // Allies in range
+                        ally.userData.hp -= 1;
+                        console.log("👊 Titan hits Ally! HP:", ally.userData.hp);
+                    }
+                }
+            }
+        }
+
+        // The attack animation ran out
+        if (!this.animation.oneShot) {
+            this.endAttack();
+            return false;
+        }
+        return true;
+    }
+
+    // Swipes land on whatever stands between the titan and the player, stomps on everything around its feet
+    hitBuildings(isStomp) {
+        if (!this.city || !this.player?.mesh) return;
+        const titanPos = this.body.translation();
+        const playerPos = this.player.position;
+        const dist = Math.hypot(playerPos.x - titanPos.x, playerPos.z - titanPos.z);
+        const dirX = (playerPos.x - titanPos.x) / dist || 0;
+        const dirZ = (playerPos.z - titanPos.z) / dist || 0;
+        const reach = isStomp ? 0 : Math.min(this.type.armReach, this.type.smashRadius);
+        const point = new THREE.Vector3(titanPos.x + dirX * reach, this.mesh.position.y + this.type.height * (isStomp ? 0 : 0.6), titanPos.z + dirZ * reach);
+        const radius = isStomp ? this.dangerRadius : this.bodyRadius;
+        this.city.getBuildingsInRadius(point, radius).forEach(building => {
+            this.city.damageBuilding(building, this.type.buildingDamage, point);
+        });
+    }
+
+    endAttack() {
+        this.isAttacking = false;
+        this.currentAttack = null;
+        this.swipeArm = null;
+        this.attackCooldown = 1.5;
+        this.dotDamageTimer = 0;
+        this.hitWindow = false;
+
+        // Hide danger zone and attack spheres
+        this.dangerZone.material.opacity = 0;
+        this.attackSphereRight.material.opacity = 0;
+        this.attackSphereLeft.material.opacity = 0;
+
+        this.animation.stop();
+    }
+
     shootProjectile() {
         const titanPos = this.body.translation();
 
@@ -425,11 +730,11 @@ export class Titan {
             });
             const projectile = new THREE.Mesh(sphereGeo, sphereMat);
 
-            projectile.position.set(titanPos.x, titanPos.y + 8, titanPos.z);
+            projectile.position.set(titanPos.x, titanPos.y + 8 * this.sizeFactor, titanPos.z);
 
-            const angle = Math.random() * Math.PI * 2;
-            const upAngle = Math.random() * 0.5 + 0.3;
-            const speed = 20 + Math.random() * 15;
+            const angle = random() * Math.PI * 2;
+            const upAngle = random() * 0.5 + 0.3;
+            const speed = 20 + random() * 15;
 
             projectile.userData.velocity = new THREE.Vector3(
                 Math.cos(angle) * speed,
@@ -460,7 +765,7 @@ export class Titan {
             }
 
             if (this.player && this.player.mesh) {
-                const dist = proj.position.distanceTo(this.player.mesh.position);
+                const dist = proj.position.distanceTo(this.player.position);
                 if (dist < 3) {
                     this.player.takeDamage(15);
                     console.log("💥 Projectile hit!");
@@ -489,7 +794,7 @@ export class Titan {
 
         // Label
         const label = document.createElement('div');
-        label.textContent = 'TITAN';
+        label.textContent = this.type.label;
         label.style.cssText = `
             position: absolute;
             top: -20px;
@@ -539,14 +844,39 @@ export class Titan {
     }
 
     die() {
+        if (this.isAttacking) this.endAttack();
+        if (this.grab) this.releaseGrab();
         this.isAlive = false;
+        this.ai.setState('dead');
         console.log("TITAN SLAIN!");
 
-        this.bodyMesh.material.color.setHex(0x333333);
+        this.bodyMesh?.material.color.setHex(0x333333);
         this.napeMesh.material.color.setHex(0x000000);
         if (this.healthBarContainer) this.healthBarContainer.style.display = 'none';
 
+        this.limbs.steam.clear();
         this.mesh.rotation.x = -Math.PI / 2;
         this.mesh.position.y += 2;
     }
+
+    // Remove every trace of this titan from the scene, physics world and HUD
+    dispose() {
+        if (this.grab) this.releaseGrab();
+        this.scene.remove(this.mesh);
+        this.scene.remove(this.dangerZone);
+        this.attackSphereRight.removeFromParent();
+        this.attackSphereLeft.removeFromParent();
+        this.projectiles.forEach(proj => this.scene.remove(proj));
+        this.projectiles = [];
+
+        if (this.healthBarContainer) {
+            this.healthBarContainer.remove();
+            this.healthBarContainer = null;
+        }
+
+        if (this.mixer) this.mixer.stopAllAction();
+        if (this.body) { world.removeRigidBody(this.body); this.body = null; }
+        if (this.napeBody) { world.removeRigidBody(this.napeBody); this.napeBody = null; }
+        this.limbs.dispose();
+    }
 }
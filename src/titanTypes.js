@@ -0,0 +1,99 @@
+// Titan archetypes. Every size-dependent value of a titan (model scale, collider,
+// nape placement, reach) is derived from these entries, so adding a new class
+// only needs a new row here.
+
+// The titan.fbx rig was tuned at 0.1 scale, which stands roughly 14m tall
+export const BASE_TITAN_HEIGHT = 14;
+export const BASE_MODEL_SCALE = 0.1;
+
+export const TITAN_TYPES = {
+    small: {
+        label: '3m CLASS',
+        height: 3,
+        health: 40,
+        speed: 4.0,
+        searchRadius: 60,
+        viewAngle: 110,        // Field of view (degrees)
+        hearingRadius: 8,      // Senses the player this close regardless of facing
+        napeSize: 0.4,         // Edge length of the nape hit box (m)
+        armReach: 3,           // Distance that triggers an arm attack
+        smashRadius: 6,        // Arm hit distance during the attack window
+        stompRadius: 1.5,      // Player this close and grounded triggers a stomp
+        dangerRadius: 4,       // Ground damage ring during attacks
+        navigation: 'path',    // 'path' walks around buildings, 'smash' walks through them
+        smashDamage: 0,        // Building damage per second while smashing through
+        gateDamage: 4,         // Gate damage per second while pressed against a closed gate
+        buildingDamage: 10,    // Building damage per swipe or stomp that lands on one
+        attacks: ['swipe', 'stomp'],
+        behaviour: 'normal'
+    },
+    medium: {
+        label: '7m CLASS',
+        height: 7,
+        health: 70,
+        speed: 5.0,
+        searchRadius: 80,
+        viewAngle: 120,
+        hearingRadius: 12,
+        napeSize: 0.5,
+        armReach: 6,
+        smashRadius: 15,
+        stompRadius: 3,
+        dangerRadius: 8,
+        navigation: 'path',
+        smashDamage: 0,
+        gateDamage: 10,
+        buildingDamage: 30,
+        attacks: ['swipe', 'stomp'],
+        behaviour: 'normal'
+    },
+    large: {
+        label: '15m CLASS',
+        height: 15,
+        health: 150,
+        speed: 6.0,
+        searchRadius: 100,
+        viewAngle: 120,
+        hearingRadius: 20,
+        napeSize: 0.6,
+        armReach: 10,
+        smashRadius: 30,
+        stompRadius: 5,
+        dangerRadius: 16,
+        navigation: 'smash',
+        smashDamage: 60,
+        gateDamage: 40,
+        buildingDamage: 120,
+        attacks: ['swipe', 'stomp', 'projectiles'],
+        behaviour: 'normal'
+    },
+    abnormal: {
+        label: 'ABNORMAL',
+        height: 10,
+        health: 120,
+        speed: 9.0,
+        sprintSpeed: 18.0,     // Burst speed while sprinting
+        searchRadius: 150,
+        viewAngle: 200,
+        hearingRadius: 25,
+        napeSize: 0.5,
+        armReach: 8,
+        smashRadius: 20,
+        stompRadius: 4,
+        dangerRadius: 10,
+        leapRange: 40,         // Jumps at roofs within this horizontal distance
+        navigation: 'path',
+        smashDamage: 0,
+        gateDamage: 20,
+        buildingDamage: 60,
+        attacks: ['swipe', 'stomp', 'leap'],
+        behaviour: 'abnormal'  // Ignores the nearest target, picks its own fixation
+    }
+};
+
+export function getTitanType(type) {
+    if (typeof type === 'object') return type;
+    const def = TITAN_TYPES[type];
+    if (!def) throw new Error(`Unknown titan type: ${type}`);
+    return def;
+}